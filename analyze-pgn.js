@@ -0,0 +1,195 @@
+/**
+ * analyze-pgn.js — headless game review from the command line.
+ *
+ * Runs the same analysis as the web app (analyzeFullGame from js/chesslogic.js)
+ * on every game of one or more PGN files, using the bundled js/stockfish.js,
+ * and writes an annotated PGN or a JSON report.
+ *
+ *   node analyze-pgn.js [options] <file.pgn> [more.pgn ...]
+ *   npm run analyze -- [options] <file.pgn> [more.pgn ...]
+ *
+ *   -d, --depth <n>      search depth per position (default 12)
+ *   -f, --format <fmt>   "pgn" (NAGs, [%eval] comments, engine lines) or "json" (default pgn)
+ *   -o, --out <file>     write the report to a file instead of stdout
+ *   -w, --workers <n>    Stockfish instances searching in parallel (default 1)
+ *
+ * Requires chess.js 0.10.x, pinned in package.json (`npm install`).
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { Chess } = require('chess.js');
+
+const ROOT = __dirname;
+
+/**
+ * Web Worker stand-in: runs js/stockfish.js in its own context, where it talks
+ * through the usual onmessage / postMessage pair.
+ */
+class StockfishWorker {
+    constructor() {
+        this._listeners = [];
+        const context = {
+            console,
+            setTimeout,
+            clearTimeout,
+            performance: { now: () => Date.now() },
+            postMessage: (data) => setImmediate(() => this._listeners.forEach(l => l({ data })))
+        };
+        context.self = context;
+        vm.createContext(context);
+        vm.runInContext(StockfishWorker.source(), context, { filename: 'stockfish.js' });
+        this._context = context;
+    }
+
+    static source() {
+        if (!this._source) this._source = fs.readFileSync(path.join(ROOT, 'js/stockfish.js'), 'utf8');
+        return this._source;
+    }
+
+    addEventListener(type, listener) {
+        if (type === 'message') this._listeners.push(listener);
+    }
+
+    postMessage(data) {
+        setImmediate(() => this._context.onmessage && this._context.onmessage({ data }));
+    }
+
+    terminate() {
+        this._listeners = [];
+    }
+}
+
+/**
+ * Load the browser scripts the way index.html does: one shared global scope,
+ * so their top-level classes and functions see each other.
+ */
+function loadAppScripts() {
+    globalThis.Chess = Chess;
+    globalThis.Worker = StockfishWorker;
+    for (const file of ['js/engine.js', 'js/enginepool.js', 'js/ecodata.js', 'js/chess960.js', 'js/chesslogic.js']) {
+        vm.runInThisContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), { filename: file });
+    }
+    return vm.runInThisContext('({ EnginePool, ChessLogic, analyzeFullGame, computeAccuracyStats, buildAnnotatedPGN, splitPGN })');
+}
+
+function usage(message) {
+    if (message) console.error(`analyze-pgn: ${message}`);
+    console.error('Usage: node analyze-pgn.js [--depth n] [--format pgn|json] [--out file] [--workers n] <file.pgn>...');
+    process.exit(message ? 2 : 0);
+}
+
+function parseArgs(argv) {
+    const opts = { depth: 12, format: 'pgn', out: null, workers: 1, files: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = () => {
+            if (i + 1 >= argv.length) usage(`${arg} needs a value`);
+            return argv[++i];
+        };
+        if (arg === '-h' || arg === '--help') usage();
+        else if (arg === '-d' || arg === '--depth') opts.depth = parseInt(value());
+        else if (arg === '-f' || arg === '--format') opts.format = value();
+        else if (arg === '-o' || arg === '--out') opts.out = value();
+        else if (arg === '-w' || arg === '--workers') opts.workers = parseInt(value());
+        else if (arg.startsWith('-')) usage(`unknown option ${arg}`);
+        else opts.files.push(arg);
+    }
+
+    if (opts.files.length === 0) usage('no PGN files given');
+    if (!(opts.depth > 0)) usage('depth must be a positive number');
+    if (!(opts.workers > 0)) usage('workers must be a positive number');
+    if (!['pgn', 'json'].includes(opts.format)) usage(`unknown format "${opts.format}"`);
+    return opts;
+}
+
+/** JSON report entry for one analysed game */
+function gameReport(app, logic, source) {
+    const colors = logic.squares.map(sq => sq.color);
+    const stats = app.computeAccuracyStats(logic.classifications, colors);
+    const opening = logic.getGameOpening();
+
+    return {
+        source: source,
+        headers: logic.headers,
+        opening: opening ? { eco: opening.eco, name: opening.name } : null,
+        accuracy: { white: stats.w, black: stats.b },
+        moves: logic.classifications.map((cls, i) => ({
+            ply: i + 1,
+            san: logic.sans[i],
+            color: colors[i],
+            classification: cls.key,
+            epLoss: cls.epLoss,
+            cpLoss: cls.cpLoss,
+            evalBefore: cls.evalBefore,
+            evalAfter: cls.evalAfter,
+            mateAfter: cls.mateAfter,
+            clock: logic.clocks[i],
+            timeSpent: logic.timeSpent[i],
+            best: cls.engineBestSan,
+            pv: cls.enginePv,
+            tags: cls.tags
+        }))
+    };
+}
+
+async function main() {
+    const opts = parseArgs(process.argv.slice(2));
+
+    // The browser scripts log to the console; keep stdout for the report
+    console.log = console.error;
+
+    const app = loadAppScripts();
+    const pool = new app.EnginePool(opts.workers);
+    const pgnOutput = [];
+    const jsonOutput = [];
+    let failures = 0;
+
+    try {
+        for (const file of opts.files) {
+            let games;
+            try {
+                games = app.splitPGN(fs.readFileSync(file, 'utf8'));
+            } catch (err) {
+                console.error(`${file}: ${err.message}`);
+                failures++;
+                continue;
+            }
+            for (let g = 0; g < games.length; g++) {
+                const source = games.length > 1 ? `${file} #${g + 1}` : file;
+                const logic = new app.ChessLogic();
+                if (!logic.loadPGN(games[g])) {
+                    console.error(`${source}: could not parse PGN, skipped`);
+                    failures++;
+                    continue;
+                }
+
+                const started = Date.now();
+                logic.classifications = await app.analyzeFullGame(pool, logic, opts.depth, (done, total) => {
+                    if (process.stderr.isTTY) process.stderr.write(`\r${source}: ${done}/${total} positions`);
+                });
+                const seconds = ((Date.now() - started) / 1000).toFixed(1);
+                process.stderr.write(`${process.stderr.isTTY ? '\r' : ''}${source}: ${logic.fens.length} positions (${seconds}s)\n`);
+
+                if (opts.format === 'json') jsonOutput.push(gameReport(app, logic, source));
+                else pgnOutput.push(app.buildAnnotatedPGN(logic));
+            }
+        }
+    } finally {
+        pool.terminate();
+    }
+
+    const report = opts.format === 'json'
+        ? JSON.stringify(jsonOutput, null, 2) + '\n'
+        : pgnOutput.join('\n');
+
+    if (opts.out) fs.writeFileSync(opts.out, report);
+    else process.stdout.write(report);
+
+    process.exitCode = failures > 0 ? 1 : 0;
+}
+
+main().catch(err => {
+    console.error(err);
+    process.exit(1);
+});
@@ -1,68 +1,544 @@
-/**
- * ChessAPI — fetch recent games from the free Chess.com public API.
- */
-class ChessAPI {
-    /**
-     * Returns an array of game objects from the player's most recent month.
-     */
-    async fetchRecent(username) {
-        username = username.trim().toLowerCase();
-        if (!username) throw new Error('Empty username');
-
-        // 1. Find available archives (no-store to prevent browser caching stale lists)
-        const archRes = await fetch(`https://api.chess.com/pub/player/${username}/games/archives`, { cache: 'no-store' });
-        if (!archRes.ok) throw new Error('Player not found');
-        const { archives } = await archRes.json();
-        if (!archives || archives.length === 0) return [];
-
-        // 2. Fetch latest month (no-store so users actually see today's games)
-        const gamesRes = await fetch(archives[archives.length - 1], { cache: 'no-store' });
-        if (!gamesRes.ok) throw new Error('Failed to load games');
-        const { games } = await gamesRes.json();
-        const results = games || [];
-        return results.sort((a, b) => b.end_time - a.end_time);
-    }
-
-    /**
-     * Returns an array of recent game objects from Lichess.
-     */
-    async fetchLichess(username) {
-        username = username.trim().toLowerCase();
-        if (!username) throw new Error('Empty username');
-
-        // Fetch last 50 games from Lichess API (NDJSON format)
-        const res = await fetch(`https://lichess.org/api/games/user/${username}?max=50&pgnInJson=true&clocks=false&evals=false`, {
-            headers: { 'Accept': 'application/x-ndjson' }
-        });
-
-        if (!res.ok) throw new Error('Lichess player not found or no games available');
-
-        const text = await res.text();
-        const games = [];
-
-        // NDJSON is newline-delimited JSON
-        const lines = text.split('\n').filter(l => l.trim().length > 0);
-        for (const line of lines) {
-            try {
-                const g = JSON.parse(line);
-                // Map Lichess format to match our expected Chess.com-like format
-                games.push({
-                    pgn: g.pgn,
-                    time_class: g.speed,
-                    end_time: g.createdAt / 1000,
-                    white: {
-                        username: g.players.white.user ? g.players.white.user.name : 'Anonymous',
-                        result: g.winner === 'white' ? 'win' : (g.status === 'draw' || g.status === 'stalemate' ? 'agreed' : 'loss')
-                    },
-                    black: {
-                        username: g.players.black.user ? g.players.black.user.name : 'Anonymous',
-                        result: g.winner === 'black' ? 'win' : (g.status === 'draw' || g.status === 'stalemate' ? 'agreed' : 'loss')
-                    }
-                });
-            } catch (e) {
-                console.error('Error parsing Lichess game row', e);
-            }
-        }
-        return games.sort((a, b) => b.end_time - a.end_time);
-    }
-}
+/**
+ * ChessAPI — games from the free Chess.com public API and from Lichess: the latest
+ * ones, earlier ones page by page (ChessComGamesPager / LichessGamesPager), or one game by link.
+ *
+ * Requests to a host are spaced at least `minInterval` apart, so paging through many
+ * archives doesn't trip the sites' rate limits. Rate limiting (429) and server errors
+ * (5xx) are retried with exponential backoff, or after the server's Retry-After.
+ * Failures are thrown as ChessAPIError subclasses: NotFoundError, RateLimitError,
+ * NetworkError and MalformedResponseError.
+ *
+ * Given a `cache` (AnalysisStore), game archives are kept as they're fetched and answered
+ * from it when the network fails. A Chess.com month doesn't change once it's over, so
+ * one cached after that is read from the cache without asking.
+ *
+ * Pass `{ fetch }` to the constructor to replace the network layer (e.g. with one
+ * that answers from local fixtures); it is called like window.fetch.
+ */
+class ChessAPI {
+    /**
+     * @param {Object} [opts]
+     * @param {Function} [opts.fetch] - window.fetch replacement
+     * @param {{getArchive: Function, putArchive: Function}} [opts.cache] - offline copy of fetched archives
+     * @param {Function} [opts.onCacheUsed] - called with (url, savedAt) when a failed request is answered from the cache
+     * @param {number} [opts.retries=3] - retries of a rate-limited, failed or unreachable request
+     * @param {number} [opts.minInterval=250] - milliseconds between requests to a host
+     * @param {number} [opts.maxRetryWait=30000] - longest Retry-After waited for; a longer one throws RateLimitError
+     * @param {Function} [opts.sleep] - (ms) → Promise, for tests
+     * @param {string} [opts.proxy=''] - origin of server.py, for the endpoints browsers can't call (default: this page's)
+     */
+    constructor(opts = {}) {
+        this._fetch = opts.fetch || ((url, init) => fetch(url, init));
+        this._cache = opts.cache || null;
+        this._onCacheUsed = opts.onCacheUsed || null;
+        this._sleep = opts.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+        this.retries = opts.retries !== undefined ? opts.retries : 3;
+        this.minInterval = opts.minInterval !== undefined ? opts.minInterval : 250;
+        this.maxRetryWait = opts.maxRetryWait !== undefined ? opts.maxRetryWait : 30000;
+        this._nextSlot = new Map(); // host → earliest time its next request may start
+        this.proxy = opts.proxy || '';
+    }
+
+    // ========================
+    // Requests
+    // ========================
+
+    /**
+     * GET a URL and read its body, retrying rate limits and server errors.
+     * @param {string} url
+     * @param {Object} [opts]
+     * @param {RequestInit} [opts.init]
+     * @param {'json'|'text'} [opts.as='json']
+     * @param {string} [opts.notFound] - message of the NotFoundError a 404 throws
+     * @param {boolean} [opts.cache] - keep the body for offline use and fall back to it when the request fails
+     * @param {number} [opts.finalAfter] - a copy cached after this time (ms) is final: answer from it without asking
+     */
+    async _get(url, opts = {}) {
+        if (opts.finalAfter) {
+            const saved = await this._cached(url);
+            if (saved && saved.saved > opts.finalAfter) return saved.data;
+        }
+        try {
+            const body = await this._request(url, opts);
+            if (opts.cache && this._cache) this._cache.putArchive(url, body);
+            return body;
+        } catch (err) {
+            const unreachable = err instanceof NetworkError || err instanceof RateLimitError || err.status >= 500;
+            if (opts.cache && unreachable) {
+                const saved = await this._cached(url);
+                if (saved) {
+                    if (this._onCacheUsed) this._onCacheUsed(url, saved.saved);
+                    return saved.data;
+                }
+            }
+            throw err;
+        }
+    }
+
+    async _cached(url) {
+        if (!this._cache) return null;
+        try {
+            return await this._cache.getArchive(url);
+        } catch (err) {
+            return null;
+        }
+    }
+
+    async _request(url, opts) {
+        const host = new URL(url, typeof location !== 'undefined' ? location.href : 'http://localhost/').host;
+        const site = host.includes('lichess') ? 'Lichess' : 'Chess.com';
+        for (let attempt = 0; ; attempt++) {
+            await this._throttle(host);
+
+            let res;
+            try {
+                res = await this._fetch(url, opts.init);
+            } catch (err) {
+                if (err.name === 'AbortError') throw err;
+                if (attempt < this.retries && !ChessAPI.offline()) {
+                    this._delayHost(host, ChessAPI.backoff(attempt));
+                    continue;
+                }
+                throw new NetworkError(`Could not reach ${site}; check your connection`, { url: url, cause: err });
+            }
+
+            if (res.ok) return this._readBody(res, url, opts.as || 'json', site);
+            if (res.status === 404 || res.status === 410) {
+                throw new NotFoundError(opts.notFound || 'Not found', { status: res.status, url: url });
+            }
+            if (res.status === 429 || res.status >= 500) {
+                const retryAfter = res.status === 429 ? ChessAPI.retryAfter(res) : null;
+                const wait = retryAfter !== null ? retryAfter : ChessAPI.backoff(attempt);
+                if (attempt < this.retries && wait <= this.maxRetryWait) {
+                    this._delayHost(host, wait); // every request to the host waits, not just this one
+                    continue;
+                }
+                if (res.status === 429) {
+                    const when = retryAfter !== null ? `in ${Math.ceil(retryAfter / 1000)} s` : 'in a minute';
+                    throw new RateLimitError(`${site} is limiting requests; try again ${when}`, { status: 429, url: url, retryAfter: retryAfter });
+                }
+                throw new ChessAPIError(`${site} is having trouble (error ${res.status}); try again later`, { status: res.status, url: url });
+            }
+            throw new ChessAPIError(`${site} refused the request (error ${res.status})`, { status: res.status, url: url });
+        }
+    }
+
+    async _readBody(res, url, as, site) {
+        let text;
+        try {
+            text = await res.text();
+        } catch (err) {
+            throw new NetworkError(`Lost the connection to ${site}`, { url: url, cause: err });
+        }
+        if (as === 'text') return text;
+        try {
+            return JSON.parse(text);
+        } catch (err) {
+            throw new MalformedResponseError(`${site} sent a response that could not be read`, { status: res.status, url: url, cause: err });
+        }
+    }
+
+    /** Wait for the host's next request slot and take it */
+    async _throttle(host) {
+        const now = Date.now();
+        const start = Math.max(now, this._nextSlot.get(host) || 0);
+        this._nextSlot.set(host, start + this.minInterval);
+        if (start > now) await this._sleep(start - now);
+    }
+
+    _delayHost(host, ms) {
+        this._nextSlot.set(host, Math.max(this._nextSlot.get(host) || 0, Date.now() + ms));
+    }
+
+    /** Milliseconds before retry `attempt` (0-based) when the server doesn't say: 0.5 s, 1 s, 2 s, … up to 8 s */
+    static backoff(attempt) {
+        return Math.min(8000, 500 * 2 ** attempt);
+    }
+
+    /** A 429 response's Retry-After (seconds or an HTTP date) in milliseconds, or null */
+    static retryAfter(res) {
+        const value = res.headers && res.headers.get ? res.headers.get('Retry-After') : null;
+        if (!value) return null;
+        if (/^\d+$/.test(value.trim())) return parseInt(value, 10) * 1000;
+        const date = Date.parse(value);
+        return isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+
+    /** The browser knows it has no connection (retrying is pointless) */
+    static offline() {
+        return typeof navigator !== 'undefined' && navigator.onLine === false;
+    }
+
+    // ========================
+    // Games
+    // ========================
+
+    /**
+     * Games of the player's most recent month that has any (within `range`, if given), newest first.
+     * @param {string} username
+     * @param {{since?: number, until?: number}} [range] - end times in Unix seconds, both inclusive
+     */
+    async fetchRecent(username, range) {
+        return this.chessComPager(username, range).next();
+    }
+
+    /**
+     * The player's latest Lichess games (within `range`, if given), newest first.
+     * @param {string} username
+     * @param {{since?: number, until?: number}} [range] - start times in Unix seconds, both inclusive
+     */
+    async fetchLichess(username, range) {
+        return this.lichessPager(username, range).next();
+    }
+
+    /** Pager through a Chess.com player's monthly archives, newest month first */
+    chessComPager(username, range) {
+        return new ChessComGamesPager(this, username, range);
+    }
+
+    /** Pager through a Lichess player's games, LICHESS_PAGE_SIZE at a time */
+    lichessPager(username, range) {
+        return new LichessGamesPager(this, username, range);
+    }
+
+    /** Monthly archive URLs of a Chess.com player, oldest first */
+    async fetchChessComArchives(username) {
+        // no-store to prevent browser caching stale lists
+        const data = await this._get(`https://api.chess.com/pub/player/${username}/games/archives`, {
+            init: { cache: 'no-store' }, notFound: 'Player not found', cache: true
+        });
+        if (!data || !Array.isArray(data.archives)) throw new MalformedResponseError('Chess.com sent an unexpected list of archives');
+        return data.archives;
+    }
+
+    /** Games of one Chess.com monthly archive */
+    async fetchChessComMonth(archiveUrl) {
+        // A month is final a day after it ends (no-store meanwhile, so users see today's games)
+        const m = /(\d{4})\/(\d{2})\/?$/.exec(archiveUrl);
+        const final = m ? (monthStart(+m[1], +m[2] + 1) + 86400) * 1000 : null;
+        const data = await this._get(archiveUrl, {
+            init: { cache: 'no-store' }, notFound: 'Archive not found', cache: true, finalAfter: final
+        });
+        if (!data || !Array.isArray(data.games)) throw new MalformedResponseError('Chess.com sent an unexpected archive');
+        return data.games;
+    }
+
+    /**
+     * One page of a Lichess player's games, newest first.
+     * @param {string} username
+     * @param {{since?: number, until?: number, max?: number}} query - Lichess parameters (milliseconds)
+     */
+    async fetchLichessPage(username, query) {
+        const params = new URLSearchParams({ max: String(query.max || LICHESS_PAGE_SIZE), pgnInJson: 'true', clocks: 'true', evals: 'true' });
+        if (query.since) params.set('since', String(query.since));
+        if (query.until) params.set('until', String(query.until));
+        const text = await this._get(`https://lichess.org/api/games/user/${username}?${params}`, {
+            init: { headers: { 'Accept': 'application/x-ndjson' } }, as: 'text', notFound: 'Lichess player not found', cache: true
+        });
+        const games = [];
+
+        // NDJSON is newline-delimited JSON
+        const lines = text.split('\n').filter(l => l.trim().length > 0);
+        for (const line of lines) {
+            try {
+                games.push(ChessAPI.fromLichess(JSON.parse(line)));
+            } catch (e) {
+                console.error('Error parsing Lichess game row', e);
+            }
+        }
+        if (lines.length > 0 && games.length === 0) throw new MalformedResponseError('Lichess sent games that could not be read');
+        return games.sort((a, b) => b.end_time - a.end_time);
+    }
+
+    /** Map a Lichess game (JSON export) to our expected Chess.com-like format */
+    static fromLichess(g) {
+        const player = (color) => {
+            const p = g.players[color] || {};
+            return {
+                username: p.user ? p.user.name : 'Anonymous',
+                rating: p.rating,
+                result: g.winner === color ? 'win' : (g.status === 'draw' || g.status === 'stalemate' ? 'agreed' : 'loss')
+            };
+        };
+        return {
+            pgn: g.pgn,
+            url: `https://lichess.org/${g.id}`,
+            time_class: g.speed,
+            rules: g.variant === 'standard' ? 'chess' : g.variant,
+            end_time: g.createdAt / 1000,
+            white: player('white'),
+            black: player('black'),
+            evals: ChessAPI.lichessEvals(g)
+        };
+    }
+
+    /**
+     * Lichess's server analysis of a game (exported with evals=true) as known evaluations
+     * for analyzeFullGame: one entry per position (index 0 = start position, which Lichess
+     * doesn't evaluate), { score, isMate, bestMove, judgment } from White's perspective, or
+     * null where there's no eval. A position with only the server's best move has a null score.
+     * @returns {Array|null} null when the game hasn't been analysed on Lichess
+     */
+    static lichessEvals(g) {
+        if (!Array.isArray(g.analysis) || g.analysis.length === 0) return null;
+        const plies = g.moves ? g.moves.split(' ').filter(Boolean).length : g.analysis.length;
+        const evals = new Array(plies + 1).fill(null);
+
+        g.analysis.slice(0, plies).forEach((a, i) => {
+            if (typeof a.eval === 'number') {
+                evals[i + 1] = { score: a.eval / 100, isMate: false };
+            } else if (typeof a.mate === 'number') {
+                evals[i + 1] = { score: a.mate, isMate: true };
+            } else {
+                return;
+            }
+            // Judged moves say what should have been played instead
+            if (a.judgment) evals[i + 1].judgment = { name: a.judgment.name, comment: a.judgment.comment || '' };
+        });
+        g.analysis.slice(0, plies).forEach((a, i) => {
+            if (!a.best) return;
+            if (!evals[i]) evals[i] = { score: null, isMate: false };
+            evals[i].bestMove = a.best;
+        });
+        return evals;
+    }
+
+    /**
+     * Recognise a link to (or the ID of) one game:
+     *  - Lichess: lichess.org/<8-char id>[player suffix][/black], /game/export/<id>, or a bare 8/12-char id
+     *    that is the whole input and mixes cases like a real one
+     *  - Chess.com: chess.com/game/live/<n>, /game/daily/<n>, /live/game/<n>, /daily/game/<n> (also under /analysis)
+     * @returns {{site: 'lichess', id: string}|{site: 'chesscom', type: 'live'|'daily', id: string}|null}
+     */
+    static parseGameRef(text) {
+        const input = (text || '').trim();
+        if (!input || /\s/.test(input)) return null;
+
+        const chesscom = input.match(/chess\.com\/(?:analysis\/)?(?:game\/(live|daily)|(live|daily)\/game)\/(\d+)/i);
+        if (chesscom) return { site: 'chesscom', type: (chesscom[1] || chesscom[2]).toLowerCase(), id: chesscom[3] };
+
+        const lichess = input.match(/lichess\.org\/(?:game\/export\/)?([a-zA-Z0-9]{8})(?:[a-zA-Z0-9]{4})?(?:[/?#]|$)/i);
+        // Site pages whose names happen to be eight letters long aren't games
+        if (lichess && !/^(analysis|training|practice|streamer|tutorial|insights)$/i.test(lichess[1])) {
+            return { site: 'lichess', id: lichess[1] };
+        }
+
+        // A bare Lichess id (a full game id carries a 4-character player suffix). Ids are random
+        // mixed-case letters and digits, so a word or name like "magnus12" or "Carlsen1" isn't one
+        if (/^[a-zA-Z0-9]{8}(?:[a-zA-Z0-9]{4})?$/.test(input) && /[a-z]/.test(input) && /[A-Z]/.test(input.slice(1))) {
+            return { site: 'lichess', id: input.slice(0, 8) };
+        }
+        return null;
+    }
+
+    /**
+     * Fetch one game from a reference returned by parseGameRef.
+     * @param {Object} ref
+     * @param {string} [player] - someone who likely played it (helps find Chess.com games)
+     * @returns {Promise<Object>} game object in the same shape as fetchRecent / fetchLichess entries
+     */
+    async fetchGame(ref, player = null) {
+        if (!ref) throw new Error('Not a Lichess or Chess.com game link');
+        return ref.site === 'lichess' ? this.fetchLichessGame(ref.id) : this.fetchChessComGame(ref.type, ref.id, player);
+    }
+
+    /** One Lichess game with its clock times, by id */
+    async fetchLichessGame(id) {
+        const data = await this._get(`https://lichess.org/game/export/${id}?pgnInJson=true&clocks=true&evals=true`, {
+            init: { headers: { 'Accept': 'application/json' } }, notFound: 'Lichess game not found'
+        });
+        try {
+            return ChessAPI.fromLichess(data);
+        } catch (e) {
+            throw new MalformedResponseError('Lichess sent a game that could not be read', { cause: e });
+        }
+    }
+
+    /**
+     * One Chess.com game by id. The public API has no per-game endpoint, so the game is
+     * looked up in monthly archives: `player`'s latest CHESSCOM_GAME_SEARCH_MONTHS when a
+     * player is given, otherwise (or when it isn't there) the white player's archive for
+     * the game's date, which server.py's /api/chesscom/game proxy reads from the site
+     * (browsers can't ask it directly).
+     * @param {'live'|'daily'} type
+     * @param {string} id
+     * @param {string} [player] - someone who likely played the game
+     */
+    async fetchChessComGame(type, id, player = null) {
+        const findIn = async (archiveUrl) => {
+            let games;
+            try {
+                games = await this.fetchChessComMonth(archiveUrl);
+            } catch (e) {
+                if (e instanceof NotFoundError) return null;
+                throw e;
+            }
+            return games.find(g => g.url && g.url.replace(/\/+$/, '').endsWith(`/${id}`)) || null;
+        };
+
+        if (player) {
+            let archives = [];
+            try {
+                archives = await this.fetchChessComArchives(player.trim().toLowerCase());
+            } catch (e) {
+                if (!(e instanceof NotFoundError)) throw e;
+            }
+            for (const url of archives.slice(-CHESSCOM_GAME_SEARCH_MONTHS).reverse()) {
+                const game = await findIn(url);
+                if (game) return game;
+            }
+        }
+
+        const info = await this._get(`${this.proxy}/api/chesscom/game/${type}/${id}`, {
+            init: { cache: 'no-store' },
+            notFound: 'Chess.com game not found (run server.py, or enter one of its players under Fetch Games)'
+        });
+        const headers = (info.game && info.game.pgnHeaders) || {};
+        const white = (headers.White || (info.players && info.players.top && info.players.top.username) || '').toLowerCase();
+        if (!white) throw new MalformedResponseError('Chess.com game has no players');
+
+        // Archives are filed by the month a game ended; a daily game may end a month or more after it started
+        const months = [];
+        for (const date of [headers.EndDate, headers.Date]) {
+            const m = /^(\d{4})\.(\d{2})/.exec(date || '');
+            if (m && !months.includes(`${m[1]}/${m[2]}`)) months.push(`${m[1]}/${m[2]}`);
+        }
+        if (months.length > 0) {
+            // ...so also look one month after the start
+            const [year, month] = months[months.length - 1].split('/').map(Number);
+            const next = month === 12 ? `${year + 1}/01` : `${year}/${String(month + 1).padStart(2, '0')}`;
+            if (!months.includes(next)) months.push(next);
+        }
+
+        for (const month of months) {
+            const game = await findIn(`https://api.chess.com/pub/player/${white}/games/${month}`);
+            if (game) return game;
+        }
+        throw new NotFoundError('Chess.com game not found in the player\'s archive (it may still be in progress)');
+    }
+}
+
+/**
+ * Base of the errors ChessAPI throws. `status` is the HTTP status when there was a
+ * response, `url` the request that failed.
+ */
+class ChessAPIError extends Error {
+    constructor(message, opts = {}) {
+        super(message, opts.cause ? { cause: opts.cause } : undefined);
+        this.name = 'ChessAPIError';
+        this.status = opts.status || null;
+        this.url = opts.url || null;
+    }
+}
+
+/** The player, game or archive doesn't exist */
+class NotFoundError extends ChessAPIError {
+    constructor(message, opts) {
+        super(message, opts);
+        this.name = 'NotFoundError';
+    }
+}
+
+/** Still rate limited after retrying; `retryAfter` is the wait the server asked for (ms), or null */
+class RateLimitError extends ChessAPIError {
+    constructor(message, opts = {}) {
+        super(message, opts);
+        this.name = 'RateLimitError';
+        this.retryAfter = opts.retryAfter !== undefined ? opts.retryAfter : null;
+    }
+}
+
+/** The site couldn't be reached (offline, DNS, blocked), and nothing was cached */
+class NetworkError extends ChessAPIError {
+    constructor(message, opts) {
+        super(message, opts);
+        this.name = 'NetworkError';
+    }
+}
+
+/** The site answered with something that isn't what its API returns */
+class MalformedResponseError extends ChessAPIError {
+    constructor(message, opts) {
+        super(message, opts);
+        this.name = 'MalformedResponseError';
+    }
+}
+
+/** Recent months of a player's archives searched for a Chess.com game by id */
+const CHESSCOM_GAME_SEARCH_MONTHS = 3;
+
+/** Games per Lichess request */
+const LICHESS_PAGE_SIZE = 50;
+
+/** Start of a UTC month in Unix seconds (Chess.com files archives by UTC month) */
+function monthStart(year, month) {
+    return Date.UTC(year, month - 1, 1) / 1000;
+}
+
+/**
+ * Pages backwards through a Chess.com player's monthly archives. Each next() resolves
+ * with the games of the next earlier month that has any in range; empty once `done`.
+ */
+class ChessComGamesPager {
+    constructor(api, username, range = {}) {
+        this.api = api;
+        this.username = username.trim().toLowerCase();
+        this.since = range.since || null;
+        this.until = range.until || null;
+        this.done = false;
+        this._archives = null; // months still to load, oldest first
+    }
+
+    async next() {
+        if (this.done) return [];
+        if (!this.username) throw new Error('Empty username');
+
+        if (!this._archives) {
+            // Archives end in /YYYY/MM; months entirely outside the range are never downloaded
+            const archives = await this.api.fetchChessComArchives(this.username);
+            this._archives = archives.filter(url => {
+                const m = /(\d{4})\/(\d{2})\/?$/.exec(url);
+                if (!m) return true;
+                const start = monthStart(+m[1], +m[2]);
+                const end = monthStart(+m[1], +m[2] + 1);
+                return (!this.since || end > this.since) && (!this.until || start <= this.until);
+            });
+        }
+
+        while (this._archives.length > 0) {
+            const games = (await this.api.fetchChessComMonth(this._archives[this._archives.length - 1]))
+                .filter(g => (!this.since || g.end_time >= this.since) && (!this.until || g.end_time <= this.until));
+            this._archives.pop(); // only once loaded, so a failed month is retried by the next call
+            if (games.length > 0) {
+                this.done = this._archives.length === 0;
+                return games.sort((a, b) => b.end_time - a.end_time);
+            }
+        }
+        this.done = true;
+        return [];
+    }
+}
+
+/**
+ * Pages backwards through a Lichess player's games with the API's `until` parameter,
+ * LICHESS_PAGE_SIZE games per next(); empty once `done`.
+ */
+class LichessGamesPager {
+    constructor(api, username, range = {}) {
+        this.api = api;
+        this.username = username.trim().toLowerCase();
+        this.since = range.since ? range.since * 1000 : null;
+        this.until = range.until ? range.until * 1000 : null; // moves back past each page loaded
+        this.done = false;
+    }
+
+    async next() {
+        if (this.done) return [];
+        if (!this.username) throw new Error('Empty username');
+
+        const games = await this.api.fetchLichessPage(this.username, { since: this.since, until: this.until });
+        if (games.length < LICHESS_PAGE_SIZE) this.done = true;
+        if (games.length > 0) this.until = Math.round(games[games.length - 1].end_time * 1000) - 1;
+        return games;
+    }
+}
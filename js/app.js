@@ -1,800 +1,1834 @@
-/**
- * App — main controller.
- * Handles UI, board, engine, API, full-game analysis, SVG overlays, and move classifications.
- */
-(function () {
-    'use strict';
-
-    // ── Random Wallpaper (Auto-detects additions) ──
-    // Uses a quick fetch to parse http-server's directory index, finding any .jpg/.png
-    async function setRandomWallpaper() {
-        let wps = ['wallpapers/bg1.jpg', 'wallpapers/bg2.jpg', 'wallpapers/bg3.jpg']; // Fallbacks
-        try {
-            const res = await fetch('wallpapers/');
-            if (res.ok) {
-                const text = await res.text();
-                const matches = text.match(/href="([^"]+\.(?:jpg|jpeg|png|webp|gif))"/gi);
-                if (matches) {
-                    const parsed = matches.map(m => {
-                        const file = m.split('"')[1].split('/').pop();
-                        return `wallpapers/${file}`;
-                    });
-                    wps = [...new Set(parsed)];
-                }
-            }
-        } catch (e) {
-            console.warn('Could not auto-detect wallpapers, using defaults.');
-        }
-
-        const randomBg = wps[Math.floor(Math.random() * wps.length)];
-        document.documentElement.style.setProperty('--bg-image', `url('${randomBg}')`);
-    }
-    setRandomWallpaper();
-
-    // ── Classification colors ──
-    const CLASS_COLORS = {
-        brilliant: '#1baaa7',
-        great: '#5c8bb0',
-        best: '#96bc4b',
-        good: '#96bc4b',
-        book: '#a88764',
-        inaccuracy: '#e6a835',
-        mistake: '#e68a35',
-        blunder: '#ca3431',
-    };
-
-    const CLASS_ICONS = {
-        brilliant: 'brilliance_v2/128x/brilliant_128x.png',
-        great: 'brilliance_v2/128x/great_find_128x.png',
-        best: 'brilliance_v2/128x/best_128x.png',
-        good: 'brilliance_v2/128x/good_128x.png',
-        book: 'brilliance_v2/128x/book_128x.png',
-        inaccuracy: 'brilliance_v2/128x/inaccuracy_128x.png',
-        mistake: 'brilliance_v2/128x/mistake_128x.png',
-        blunder: 'brilliance_v2/128x/blunder_128x.png',
-    };
-
-    // ── Screens ──
-    const landingScreen = document.getElementById('landing-screen');
-    const analysisScreen = document.getElementById('analysis-screen');
-
-    function showScreen(screen) {
-        document.querySelectorAll('.screen').forEach(s => s.classList.remove('active'));
-        screen.classList.add('active');
-        if (screen === analysisScreen && board) {
-            setTimeout(() => { board.resize(); setupOverlay(); }, 80);
-        }
-    }
-
-    // ── Instances ──
-    const logic = new ChessLogic();
-    const api = new ChessAPI();
-
-    // ── Board ──
-    let board = null;
-    let isFlipped = false;
-
-    function initBoard() {
-        board = Chessboard('board', {
-            pieceTheme: 'https://chessboardjs.com/img/chesspieces/wikipedia/{piece}.png',
-            position: 'start',
-            showNotation: true,
-            draggable: false,
-            appearSpeed: 150,
-            moveSpeed: 150
-        });
-        $(window).on('resize', () => {
-            if (board) { board.resize(); setupOverlay(); }
-        });
-    }
-
-    // ═══════════════════════════════════
-    //  SVG OVERLAY SYSTEM
-    // ═══════════════════════════════════
-    let svgOverlay = null;
-
-    function setupOverlay() {
-        const boardEl = document.getElementById('board');
-        if (!boardEl) return;
-
-        // Remove old overlay
-        const old = boardEl.querySelector('.board-overlay');
-        if (old) old.remove();
-
-        const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
-        svg.setAttribute('class', 'board-overlay');
-        svg.setAttribute('viewBox', '0 0 800 800');
-        svg.setAttribute('preserveAspectRatio', 'none');
-        svg.style.cssText = 'position:absolute;top:0;left:0;width:100%;height:100%;pointer-events:none;z-index:10;';
-
-        boardEl.style.position = 'relative';
-        boardEl.appendChild(svg);
-        svgOverlay = svg;
-    }
-
-    function clearOverlay() {
-        if (svgOverlay) svgOverlay.innerHTML = '';
-    }
-
-    /** Convert algebraic square to SVG coordinates (800x800 viewBox) */
-    function squareToCoords(sq) {
-        const file = sq.charCodeAt(0) - 97;
-        const rank = parseInt(sq[1]) - 1;
-        let x, y;
-        if (isFlipped) {
-            x = (7 - file) * 100 + 50;
-            y = rank * 100 + 50;
-        } else {
-            x = file * 100 + 50;
-            y = (7 - rank) * 100 + 50;
-        }
-        return { x, y };
-    }
-
-    /** Highlight a square by directly styling the chessboard.js square element */
-    function drawSquareHighlight(sq, color, opacity) {
-        opacity = opacity || 0.42;
-        const boardEl = document.getElementById('board');
-        if (!boardEl) return;
-        const squareEl = boardEl.querySelector('[data-square="' + sq + '"]');
-        if (squareEl) {
-            squareEl.style.boxShadow = 'inset 0 0 0 100px ' + color + Math.round(opacity * 255).toString(16).padStart(2, '0');
-        }
-    }
-
-    /** Remove all square highlights and board icons */
-    function clearSquareHighlights() {
-        const boardEl = document.getElementById('board');
-        if (!boardEl) return;
-        boardEl.querySelectorAll('[data-square]').forEach(el => {
-            el.style.boxShadow = '';
-        });
-        // Remove any classification icons
-        boardEl.querySelectorAll('.board-cls-icon').forEach(el => el.remove());
-    }
-
-    /** Place a classification icon at the top-right corner of a square (like chess.com) */
-    function placeIconOnSquare(sq, iconSrc) {
-        const boardEl = document.getElementById('board');
-        if (!boardEl) return;
-        const squareEl = boardEl.querySelector('[data-square="' + sq + '"]');
-        if (!squareEl) return;
-
-        // Make square position relative for absolute child
-        squareEl.style.position = 'relative';
-        squareEl.style.overflow = 'visible';
-
-        const img = document.createElement('img');
-        img.className = 'board-cls-icon';
-        img.src = iconSrc;
-        img.style.cssText = `
-            position: absolute;
-            top: -8px; right: -8px;
-            width: 26px; height: 26px;
-            z-index: 20;
-            pointer-events: none;
-            filter: drop-shadow(0 1px 2px rgba(0,0,0,0.5));
-        `;
-        squareEl.appendChild(img);
-    }
-
-    /** Draw a chess.com-style arrow (thick, rounded, solid green) */
-    function drawArrow(fromSq, toSq, color, opacity) {
-        if (!svgOverlay || !fromSq || !toSq) return;
-        opacity = opacity || 0.8;
-
-        const boardEl = document.getElementById('board');
-        if (!boardEl) return;
-        const fromEl = boardEl.querySelector('[data-square="' + fromSq + '"]');
-        const toEl = boardEl.querySelector('[data-square="' + toSq + '"]');
-        if (!fromEl || !toEl) return;
-
-        const boardRect = boardEl.getBoundingClientRect();
-        const fromRect = fromEl.getBoundingClientRect();
-        const toRect = toEl.getBoundingClientRect();
-
-        const svgW = 800;
-        const scaleX = svgW / boardRect.width;
-        const scaleY = svgW / boardRect.height;
-
-        const fx = (fromRect.left - boardRect.left + fromRect.width / 2) * scaleX;
-        const fy = (fromRect.top - boardRect.top + fromRect.height / 2) * scaleY;
-        const tx = (toRect.left - boardRect.left + toRect.width / 2) * scaleX;
-        const ty = (toRect.top - boardRect.top + toRect.height / 2) * scaleY;
-
-        const dx = tx - fx;
-        const dy = ty - fy;
-        const len = Math.sqrt(dx * dx + dy * dy);
-        if (len < 1) return;
-
-        const ux = dx / len;
-        const uy = dy / len;
-        // Perpendicular
-        const px = -uy;
-        const py = ux;
-
-        // Arrow shaft width and head size
-        const sw = 12;  // shaft half-width
-        const headW = 30; // arrowhead half-width
-        const headL = 35; // arrowhead length
-
-        // Points along the shaft
-        const shaftEnd = len - headL;
-
-        // Build path: shaft rectangle + triangular head
-        const points = [
-            // Start left side of shaft
-            fx + px * sw, fy + py * sw,
-            // End left side of shaft (where head begins)
-            fx + ux * shaftEnd + px * sw, fy + uy * shaftEnd + py * sw,
-            // Left wing of arrowhead
-            fx + ux * shaftEnd + px * headW, fy + uy * shaftEnd + py * headW,
-            // Tip
-            tx, ty,
-            // Right wing of arrowhead
-            fx + ux * shaftEnd - px * headW, fy + uy * shaftEnd - py * headW,
-            // End right side of shaft
-            fx + ux * shaftEnd - px * sw, fy + uy * shaftEnd - py * sw,
-            // Start right side of shaft
-            fx - px * sw, fy - py * sw,
-        ];
-
-        const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-        g.setAttribute('opacity', String(opacity));
-
-        const polygon = document.createElementNS('http://www.w3.org/2000/svg', 'polygon');
-        let pointsStr = '';
-        for (let i = 0; i < points.length; i += 2) {
-            pointsStr += points[i].toFixed(1) + ',' + points[i + 1].toFixed(1) + ' ';
-        }
-        polygon.setAttribute('points', pointsStr.trim());
-        polygon.setAttribute('fill', color);
-        g.appendChild(polygon);
-        svgOverlay.appendChild(g);
-    }
-
-    /** Render board overlays for current position */
-    function renderOverlays() {
-        clearSquareHighlights();
-        clearOverlay();
-        setupOverlay();
-        if (logic.idx === 0) return;
-
-        const cls = logic.currentClassification();
-        const sq = logic.currentMoveSquares();
-
-        // 1. Colored square highlights for the played move
-        if (sq && cls) {
-            const clr = CLASS_COLORS[cls.key] || '#f7ec59';
-            drawSquareHighlight(sq.from, clr, 0.45);
-            drawSquareHighlight(sq.to, clr, 0.45);
-        } else if (sq) {
-            drawSquareHighlight(sq.from, '#f7ec59', 0.3);
-            drawSquareHighlight(sq.to, '#f7ec59', 0.3);
-        }
-
-        // 2. Classification icon on the destination square (chess.com style)
-        if (sq && cls && CLASS_ICONS[cls.key]) {
-            placeIconOnSquare(sq.to, CLASS_ICONS[cls.key]);
-        }
-
-        // 3. Engine best-move arrow (only for suboptimal moves — skip brilliant/great)
-        const skipArrow = cls && ['brilliant', 'great'].includes(cls.key);
-        if (cls && cls.engineBest && !skipArrow) {
-            const bf = cls.engineBest.substring(0, 2);
-            const bt = cls.engineBest.substring(2, 4);
-            if (/^[a-h][1-8]$/.test(bf) && /^[a-h][1-8]$/.test(bt)) {
-                drawArrow(bf, bt, '#96bc4b', 0.8);
-            }
-        }
-    }
-
-    // ═══════════════════════════════════
-    //  ENGINE (live eval)
-    // ═══════════════════════════════════
-    let evalDebounce = null;
-    let isAnalyzing = false;
-
-    const engine = new Engine(function onEval(data) {
-        if (isAnalyzing) return; // suppress live updates during batch analysis
-
-        let displayScore = data.score;
-        const turn = logic.turn();
-        if (turn === 'b') displayScore = -displayScore;
-
-        updateEvalUI(displayScore, data.isMate);
-
-        document.getElementById('engine-depth').textContent = data.depth;
-        document.getElementById('engine-eval').textContent =
-            data.isMate ? (displayScore > 0 ? '+' : '') + 'M' + Math.abs(data.score)
-                : (displayScore > 0 ? '+' : '') + displayScore.toFixed(1);
-        document.getElementById('engine-best').textContent = data.bestMove;
-
-        if (data.depth >= 12) {
-            document.getElementById('engine-spinner').classList.remove('active');
-        }
-    });
-
-    function requestEval() {
-        if (isAnalyzing) return;
-        clearTimeout(evalDebounce);
-        document.getElementById('engine-spinner').classList.add('active');
-        document.getElementById('engine-depth').textContent = '…';
-        document.getElementById('engine-eval').textContent = '…';
-        document.getElementById('engine-best').textContent = '…';
-
-        evalDebounce = setTimeout(() => {
-            engine.evaluate(logic.fen(), 14);
-        }, 200);
-    }
-
-    function updateEvalUI(score, isMate) {
-        const fill = document.getElementById('eval-fill');
-        const label = document.getElementById('eval-label');
-        let pct = 50;
-        if (isMate) {
-            pct = score > 0 ? 98 : 2;
-        } else {
-            pct = 50 + (Math.tanh(score / 4) * 48);
-        }
-        fill.style.height = pct + '%';
-        label.textContent = isMate
-            ? (score > 0 ? '+' : '-') + 'M' + Math.abs(score)
-            : (score > 0 ? '+' : '') + score.toFixed(1);
-    }
-
-    // ═══════════════════════════════════
-    //  FULL GAME ANALYSIS
-    // ═══════════════════════════════════
-    async function runFullAnalysis() {
-        if (isAnalyzing) return;
-        isAnalyzing = true;
-
-        const progressBar = document.getElementById('analysis-progress');
-        const progressFill = document.getElementById('analysis-progress-fill');
-        const progressText = document.getElementById('analysis-progress-text');
-        if (progressBar) progressBar.style.display = 'block';
-
-        try {
-            const depthSelect = document.getElementById('engine-depth-select');
-            const targetDepth = depthSelect ? parseInt(depthSelect.value, 10) : 14;
-
-            // Generate a unique cache key based on the exact move sequence and requested depth
-            // We include "v1" in case we want to safely bust the cache in future updates.
-            const movesStr = logic.sans.join('|');
-            const cacheKey = `chess_analysis_v1_${targetDepth}_${movesStr}`;
-
-            const cachedData = localStorage.getItem(cacheKey);
-
-            if (cachedData) {
-                if (progressText) progressText.textContent = 'Loading cached analysis...';
-                logic.classifications = JSON.parse(cachedData);
-            } else {
-                const classifications = await analyzeFullGame(engine, logic, targetDepth, (i, total) => {
-                    const pct = Math.round((i / total) * 100);
-                    if (progressFill) progressFill.style.width = pct + '%';
-                    if (progressText) progressText.textContent = `Analyzing… ${i}/${total} half-moves`;
-                });
-
-                logic.classifications = classifications;
-
-                // Save to cache so we don't have to analyze this exact game at this depth again
-                try {
-                    localStorage.setItem(cacheKey, JSON.stringify(classifications));
-                } catch (storeErr) {
-                    console.warn('Failed to save analysis to localStorage (might be full):', storeErr);
-                }
-            }
-
-            renderMoves();
-            renderOverlays();
-            renderSummary();
-
-            if (progressText) progressText.textContent = 'Analysis complete ✓';
-            setTimeout(() => { if (progressBar) progressBar.style.display = 'none'; }, 2000);
-        } catch (e) {
-            console.error('Analysis error:', e);
-            if (progressText) progressText.textContent = 'Analysis failed';
-        } finally {
-            isAnalyzing = false;
-            requestEval();
-        }
-    }
-    // ═══════════════════════════════════
-    //  GAME SUMMARY
-    // ═══════════════════════════════════
-    function renderSummary() {
-        const panel = document.getElementById('summary-panel');
-        if (!panel || logic.classifications.length === 0) return;
-
-        const cats = ['brilliant', 'great', 'best', 'inaccuracy', 'mistake', 'blunder'];
-        const catLabels = {
-            brilliant: '!!  Brilliant',
-            great: '!  Great',
-            best: '★  Best',
-            inaccuracy: '?!  Inaccuracy',
-            mistake: '?  Mistake',
-            blunder: '??  Blunder'
-        };
-
-        // Count per side
-        const white = {}, black = {};
-        let wLoss = 0, bLoss = 0, wCount = 0, bCount = 0;
-        cats.forEach(c => { white[c] = 0; black[c] = 0; });
-
-        logic.classifications.forEach((cls, i) => {
-            const isWhite = (i % 2 === 0);
-            const bucket = isWhite ? white : black;
-            // Map 'good' and 'book' into nearby categories
-            const key = (cls.key === 'good') ? 'best' : (cls.key === 'book') ? 'best' : cls.key;
-            if (bucket[key] !== undefined) bucket[key]++;
-
-            // Count engine-aligned moves for accuracy
-            const aligned = ['brilliant', 'great', 'best', 'good', 'book'].includes(cls.key);
-            if (isWhite) { wCount++; if (aligned) wLoss++; }
-            else { bCount++; if (aligned) bLoss++; }
-        });
-
-        // Accuracy = % of moves that matched the engine
-        const wAcc = wCount > 0 ? (wLoss / wCount * 100).toFixed(1) : '—';
-        const bAcc = bCount > 0 ? (bLoss / bCount * 100).toFixed(1) : '—';
-
-        document.getElementById('summary-white-name').textContent =
-            document.getElementById('white-name').textContent;
-        document.getElementById('summary-black-name').textContent =
-            document.getElementById('black-name').textContent;
-        document.getElementById('summary-white-acc').textContent = wAcc;
-        document.getElementById('summary-black-acc').textContent = bAcc;
-
-        // Display Overall Opening Name
-        const opening = logic.getGameOpening();
-        const openingDiv = document.getElementById('summary-opening-name');
-        if (openingDiv) {
-            openingDiv.textContent = opening ? `Opening: ${opening.name.charAt(0).toUpperCase() + opening.name.slice(1)}` : '';
-        }
-
-        // Build rows
-        const rowsEl = document.getElementById('summary-rows');
-        rowsEl.innerHTML = '';
-        cats.forEach(cat => {
-            const row = document.createElement('div');
-            row.className = 'summary-row';
-            row.innerHTML = `
-                <span class="sr-count">${white[cat]}</span>
-                <span class="sr-label" style="color:${CLASS_COLORS[cat]}">
-                    <span class="sr-dot" style="background:${CLASS_COLORS[cat]}"></span>
-                    ${catLabels[cat]}
-                </span>
-                <span class="sr-count">${black[cat]}</span>
-            `;
-            rowsEl.appendChild(row);
-        });
-
-        panel.style.display = 'block';
-    }
-
-    // ═══════════════════════════════════
-    //  MOVE HISTORY
-    // ═══════════════════════════════════
-    function renderMoves() {
-        const body = document.getElementById('move-body');
-        body.innerHTML = '';
-        const moves = logic.moves();
-
-        for (let i = 0; i < moves.length; i += 2) {
-            const tr = document.createElement('tr');
-
-            // Move number
-            const tdNum = document.createElement('td');
-            tdNum.textContent = (i / 2 + 1) + '.';
-            tr.appendChild(tdNum);
-
-            // White move
-            appendMoveCell(tr, moves[i], i, i + 1);
-
-            // Black move
-            if (i + 1 < moves.length) {
-                appendMoveCell(tr, moves[i + 1], i + 1, i + 2);
-            } else {
-                tr.appendChild(document.createElement('td'));
-            }
-
-            body.appendChild(tr);
-        }
-
-        const active = body.querySelector('.active');
-        if (active) active.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
-    }
-
-    function appendMoveCell(tr, san, moveIdx, fenIdx) {
-        const td = document.createElement('td');
-        td.className = 'move-cell';
-
-        const cls = logic.getMoveClassification(moveIdx);
-
-        // Classification badge (chess.com icon)
-        if (cls && CLASS_ICONS[cls.key]) {
-            const badge = document.createElement('img');
-            badge.className = 'move-badge';
-            badge.src = CLASS_ICONS[cls.key];
-            badge.alt = cls.key;
-            badge.title = cls.key.charAt(0).toUpperCase() + cls.key.slice(1);
-            td.appendChild(badge);
-        }
-
-        const text = document.createSpan ? document.createSpan() : document.createElement('span');
-        text.textContent = san;
-        td.appendChild(text);
-
-        // Left-border color
-        if (cls) {
-            td.style.borderLeftColor = CLASS_COLORS[cls.key];
-        }
-
-        td.onclick = () => goToIndex(fenIdx);
-        if (logic.idx === fenIdx) td.classList.add('active');
-
-        tr.appendChild(td);
-    }
-
-    // ═══════════════════════════════════
-    //  NAVIGATION
-    // ═══════════════════════════════════
-    function goToIndex(i) {
-        logic.goTo(i);
-        refresh();
-    }
-
-    function renderExplanation() {
-        const expPanel = document.getElementById('explanation-panel');
-        const expText = document.getElementById('explanation-text');
-        const mascotImg = document.getElementById('reviewer-mascot-img');
-        if (!expPanel || !expText) return;
-
-        const cls = logic.currentClassification();
-        if (cls && logic.idx > 0) {
-            const moveSan = logic.sans[logic.idx - 1];
-            const exp = ExplanationGenerator.generateExplanation(moveSan, cls);
-            if (exp) {
-                expText.innerHTML = exp;
-                expPanel.style.display = 'flex';
-
-                if (mascotImg) {
-                    if (['inaccuracy', 'mistake', 'blunder'].includes(cls.key)) {
-                        mascotImg.src = 'angry_cheshire.png';
-                    } else {
-                        mascotImg.src = 'cheshire.png';
-                    }
-                }
-                return;
-            }
-        }
-        expPanel.style.display = 'none';
-    }
-
-    function refresh() {
-        board.position(logic.fen(), true);
-        renderMoves();
-        renderOverlays();
-        renderExplanation();
-        requestEval();
-    }
-
-    // Expose screens for other modules
-    window.appScreens = {
-        landing: landingScreen,
-        analysis: analysisScreen,
-        show: showScreen
-    };
-
-    // ── Load a game ──
-    const btnRunAnalysis = document.getElementById('btn-run-analysis');
-    if (btnRunAnalysis) {
-        btnRunAnalysis.addEventListener('click', () => {
-            btnRunAnalysis.style.display = 'none';
-            runFullAnalysis();
-        });
-    }
-
-    function loadGame(pgn, whiteName, blackName, autoAnalyze = true) {
-        if (!logic.loadPGN(pgn)) {
-            alert('Could not parse PGN. Make sure it is valid.');
-            return;
-        }
-        // Clear previous game's summary
-        const summaryPanel = document.getElementById('summary-panel');
-        if (summaryPanel) summaryPanel.style.display = 'none';
-        logic.classifications = [];
-
-        // Parse ELO from PGN if available, unless playing against Cheshire
-        let wElo = '', bElo = '';
-        if (whiteName !== 'Cheshire' && blackName !== 'Cheshire') {
-            const wMatch = pgn.match(/\[WhiteElo "(.*?)"\]/);
-            const bMatch = pgn.match(/\[BlackElo "(.*?)"\]/);
-            if (wMatch && wMatch[1] && wMatch[1] !== '?') wElo = ` (${wMatch[1]})`;
-            if (bMatch && bMatch[1] && bMatch[1] !== '?') bElo = ` (${bMatch[1]})`;
-        }
-
-        document.getElementById('white-name').textContent = (whiteName || 'White') + wElo;
-        document.getElementById('black-name').textContent = (blackName || 'Black') + bElo;
-        showScreen(analysisScreen);
-        refresh();
-
-        // Show / hide the manual analyze button
-        if (btnRunAnalysis) {
-            btnRunAnalysis.style.display = autoAnalyze ? 'none' : 'flex';
-        }
-
-        // Start full analysis automatically if requested
-        if (autoAnalyze) {
-            setTimeout(() => runFullAnalysis(), 500);
-        } else {
-            setTimeout(() => { requestEval(); }, 500);
-        }
-    }
-
-    // Expose loadGame for play mode
-    window.loadGame = loadGame;
-
-    // ── Tab switching ──
-    document.querySelectorAll('.tab-btn').forEach(btn => {
-        btn.addEventListener('click', () => {
-            document.querySelectorAll('.tab-btn').forEach(b => b.classList.remove('active'));
-            document.querySelectorAll('.tab-content').forEach(c => c.classList.remove('active'));
-            btn.classList.add('active');
-            document.getElementById(btn.dataset.target).classList.add('active');
-        });
-    });
-
-    // ── Paste PGN ──
-    document.getElementById('analyze-pgn-btn').addEventListener('click', () => {
-        const pgn = document.getElementById('pgn-input').value.trim();
-        if (!pgn) return alert('Please paste a PGN first.');
-        loadGame(pgn, 'White', 'Black');
-    });
-
-    // ── Fetch Games ──
-    const fetchBtn = document.getElementById('fetch-btn');
-    const gamesList = document.getElementById('games-list');
-    const platformSelect = document.getElementById('platform-select');
-
-    let loadedGames = [];
-    let displayedCount = 0;
-    let currentUsername = '';
-
-    function renderGamesListBatch() {
-        const batch = loadedGames.slice(displayedCount, displayedCount + 8);
-        if (batch.length === 0) return;
-
-        batch.forEach(g => {
-            const w = g.white?.username || '?';
-            const b = g.black?.username || '?';
-            const wResult = g.white?.result || '';
-            const bResult = g.black?.result || '';
-            const tc = g.time_class || '';
-            const date = g.end_time ? new Date(g.end_time * 1000).toLocaleDateString() : '';
-
-            const uLower = currentUsername.toLowerCase();
-            const isWhite = w.toLowerCase() === uLower;
-            const userResult = isWhite ? wResult : bResult;
-            const drawResults = ['agreed', 'stalemate', 'repetition', 'insufficient', '50move', 'timevsinsufficient'];
-
-            let resultClass, resultText;
-            if (userResult === 'win') {
-                resultClass = 'win'; resultText = 'Win';
-            } else if (drawResults.includes(userResult) || drawResults.includes(wResult)) {
-                resultClass = 'draw'; resultText = 'Draw';
-            } else {
-                resultClass = 'loss'; resultText = 'Loss';
-            }
-
-            const card = document.createElement('div');
-            card.className = 'game-card';
-            card.innerHTML = `
-                <div class="gc-players">${w} vs ${b}</div>
-                <div class="gc-meta">${tc} · ${date} · <span class="gc-result ${resultClass}">${resultText}</span></div>
-            `;
-            card.addEventListener('click', () => loadGame(g.pgn, w, b));
-            gamesList.appendChild(card);
-        });
-
-        displayedCount += batch.length;
-
-        // "Load More" button management
-        const existingBtn = document.getElementById('load-more-btn');
-        if (existingBtn) existingBtn.remove(); // Remove existing to put at bottom
-
-        if (displayedCount < loadedGames.length) {
-            const moreBtn = document.createElement('button');
-            moreBtn.id = 'load-more-btn';
-            moreBtn.className = 'btn-primary';
-            moreBtn.style.marginTop = '8px';
-            moreBtn.style.padding = '6px';
-            moreBtn.textContent = 'Load More';
-            moreBtn.onclick = renderGamesListBatch;
-            gamesList.appendChild(moreBtn);
-        }
-    }
-
-    fetchBtn.addEventListener('click', async () => {
-        const username = document.getElementById('username-input').value.trim();
-        if (!username) return;
-
-        fetchBtn.disabled = true;
-        fetchBtn.textContent = '…';
-        gamesList.innerHTML = '<p class="muted-text">Loading…</p>';
-
-        try {
-            const platform = platformSelect.value;
-            let games = [];
-
-            if (platform === 'lichess') {
-                games = await api.fetchLichess(username);
-            } else {
-                games = await api.fetchRecent(username);
-            }
-
-            if (games.length === 0) {
-                gamesList.innerHTML = '<p class="muted-text">No recent games found.</p>';
-                return;
-            }
-            gamesList.innerHTML = '';
-
-            // Store fetch results for pagination
-            loadedGames = games;
-            displayedCount = 0;
-            currentUsername = username;
-
-            renderGamesListBatch();
-
-        } catch (e) {
-            gamesList.innerHTML = `<p class="muted-text" style="color:var(--red)">Error: ${e.message}</p>`;
-        } finally {
-            fetchBtn.disabled = false;
-            fetchBtn.textContent = 'Fetch';
-        }
-    });
-
-    // ── Nav buttons ──
-    document.getElementById('btn-start').addEventListener('click', () => { logic.goStart(); refresh(); });
-    document.getElementById('btn-prev').addEventListener('click', () => { logic.goPrev(); refresh(); });
-    document.getElementById('btn-next').addEventListener('click', () => { logic.goNext(); refresh(); });
-    document.getElementById('btn-end').addEventListener('click', () => { logic.goEnd(); refresh(); });
-    document.getElementById('btn-flip').addEventListener('click', () => {
-        board.flip();
-        isFlipped = !isFlipped;
-        // Swap player name bars
-        const topName = document.getElementById('black-name');
-        const botName = document.getElementById('white-name');
-        const tmp = topName.textContent;
-        topName.textContent = botName.textContent;
-        botName.textContent = tmp;
-        renderOverlays();
-    });
-    document.getElementById('btn-back').addEventListener('click', () => {
-        clearOverlay();
-        showScreen(landingScreen);
-    });
-
-    // ── Keyboard nav ──
-    document.addEventListener('keydown', e => {
-        if (e.target.tagName === 'TEXTAREA' || e.target.tagName === 'INPUT') return;
-        if (e.key === 'ArrowLeft') { logic.goPrev(); refresh(); }
-        if (e.key === 'ArrowRight') { logic.goNext(); refresh(); }
-        if (e.key === 'Home') { logic.goStart(); refresh(); }
-        if (e.key === 'End') { logic.goEnd(); refresh(); }
-    });
-
-    // ── Settings ──
-    const depthSelect = document.getElementById('engine-depth-select');
-    if (depthSelect) {
-        depthSelect.addEventListener('change', () => {
-            if (logic.fens.length > 1 && !isAnalyzing) {
-                runFullAnalysis();
-            }
-        });
-    }
-
-    // ── Init ──
-    initBoard();
-})();
+/**
+ * App — main controller.
+ * Handles UI, board, engine, API, full-game analysis, SVG overlays, and move classifications.
+ */
+(function () {
+    'use strict';
+
+    // ── Random Wallpaper (Auto-detects additions) ──
+    // Uses a quick fetch to parse http-server's directory index, finding any .jpg/.png
+    async function setRandomWallpaper() {
+        let wps = ['wallpapers/bg1.jpg', 'wallpapers/bg2.jpg', 'wallpapers/bg3.jpg']; // Fallbacks
+        try {
+            const res = await fetch('wallpapers/');
+            if (res.ok) {
+                const text = await res.text();
+                const matches = text.match(/href="([^"]+\.(?:jpg|jpeg|png|webp|gif))"/gi);
+                if (matches) {
+                    const parsed = matches.map(m => {
+                        const file = m.split('"')[1].split('/').pop();
+                        return `wallpapers/${file}`;
+                    });
+                    wps = [...new Set(parsed)];
+                }
+            }
+        } catch (e) {
+            console.warn('Could not auto-detect wallpapers, using defaults.');
+        }
+
+        const randomBg = wps[Math.floor(Math.random() * wps.length)];
+        document.documentElement.style.setProperty('--bg-image', `url('${randomBg}')`);
+    }
+    setRandomWallpaper();
+
+    // ── Classification colors ──
+    const CLASS_COLORS = {
+        brilliant: '#1baaa7',
+        great: '#5c8bb0',
+        best: '#96bc4b',
+        good: '#96bc4b',
+        book: '#a88764',
+        inaccuracy: '#e6a835',
+        mistake: '#e68a35',
+        blunder: '#ca3431',
+        miss: '#ee6b55',
+    };
+
+    const CLASS_ICONS = {
+        brilliant: 'brilliance_v2/128x/brilliant_128x.png',
+        great: 'brilliance_v2/128x/great_find_128x.png',
+        best: 'brilliance_v2/128x/best_128x.png',
+        good: 'brilliance_v2/128x/good_128x.png',
+        book: 'brilliance_v2/128x/book_128x.png',
+        inaccuracy: 'brilliance_v2/128x/inaccuracy_128x.png',
+        mistake: 'brilliance_v2/128x/mistake_128x.png',
+        blunder: 'brilliance_v2/128x/blunder_128x.png',
+        miss: 'brilliance_v2/128x/missed_win_128x.png',
+    };
+
+    // ── Screens ──
+    const landingScreen = document.getElementById('landing-screen');
+    const analysisScreen = document.getElementById('analysis-screen');
+
+    function showScreen(screen) {
+        document.querySelectorAll('.screen').forEach(s => s.classList.remove('active'));
+        screen.classList.add('active');
+        if (screen === analysisScreen && board) {
+            setTimeout(() => { board.resize(); setupOverlay(); }, 80);
+        }
+    }
+
+    // ── Instances ──
+    const logic = new ChessLogic();
+
+    // Per-position results shared by every analysed game, saved reviews and fetched archives (IndexedDB)
+    const analysisStore = new AnalysisStore();
+    const api = new ChessAPI({ cache: analysisStore, onCacheUsed: (url, savedAt) => showOfflineNote(savedAt) });
+
+    // ── Board ──
+    let board = null;
+    let isFlipped = false;
+
+    function initBoard() {
+        board = Chessboard('board', {
+            pieceTheme: 'https://chessboardjs.com/img/chesspieces/wikipedia/{piece}.png',
+            position: 'start',
+            showNotation: true,
+            draggable: true,
+            appearSpeed: 150,
+            moveSpeed: 150,
+            onDragStart: onBoardDragStart,
+            onDrop: onBoardDrop,
+            onSnapEnd: () => board.position(logic.fen(), false)
+        });
+        $(window).on('resize', () => {
+            if (board) { board.resize(); setupOverlay(); }
+        });
+    }
+
+    // ── Exploring: moves dragged on the board follow or create variations ──
+    function onBoardDragStart(source, piece) {
+        if (createGame(logic.fen(), logic.chess960).game_over()) return false;
+        return piece.charAt(0) === logic.turn();
+    }
+
+    function onBoardDrop(source, target) {
+        if (source === target) return 'snapback';
+        // NOTE: always promote to a queen for simplicity
+        const node = logic.addMove({ from: source, to: target, promotion: 'q' });
+        if (!node) return 'snapback';
+
+        renderMoves();
+        renderTimeChart();
+        renderOverlays();
+        renderExplanation();
+        requestEval();
+    }
+
+    // ═══════════════════════════════════
+    //  SVG OVERLAY SYSTEM
+    // ═══════════════════════════════════
+    let svgOverlay = null;
+
+    function setupOverlay() {
+        const boardEl = document.getElementById('board');
+        if (!boardEl) return;
+
+        // Remove old overlay
+        const old = boardEl.querySelector('.board-overlay');
+        if (old) old.remove();
+
+        const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+        svg.setAttribute('class', 'board-overlay');
+        svg.setAttribute('viewBox', '0 0 800 800');
+        svg.setAttribute('preserveAspectRatio', 'none');
+        svg.style.cssText = 'position:absolute;top:0;left:0;width:100%;height:100%;pointer-events:none;z-index:10;';
+
+        boardEl.style.position = 'relative';
+        boardEl.appendChild(svg);
+        svgOverlay = svg;
+    }
+
+    function clearOverlay() {
+        if (svgOverlay) svgOverlay.innerHTML = '';
+    }
+
+    /** Convert algebraic square to SVG coordinates (800x800 viewBox) */
+    function squareToCoords(sq) {
+        const file = sq.charCodeAt(0) - 97;
+        const rank = parseInt(sq[1]) - 1;
+        let x, y;
+        if (isFlipped) {
+            x = (7 - file) * 100 + 50;
+            y = rank * 100 + 50;
+        } else {
+            x = file * 100 + 50;
+            y = (7 - rank) * 100 + 50;
+        }
+        return { x, y };
+    }
+
+    /** Highlight a square by directly styling the chessboard.js square element */
+    function drawSquareHighlight(sq, color, opacity) {
+        opacity = opacity || 0.42;
+        const boardEl = document.getElementById('board');
+        if (!boardEl) return;
+        const squareEl = boardEl.querySelector('[data-square="' + sq + '"]');
+        if (squareEl) {
+            squareEl.style.boxShadow = 'inset 0 0 0 100px ' + color + Math.round(opacity * 255).toString(16).padStart(2, '0');
+        }
+    }
+
+    /** Remove all square highlights and board icons */
+    function clearSquareHighlights() {
+        const boardEl = document.getElementById('board');
+        if (!boardEl) return;
+        boardEl.querySelectorAll('[data-square]').forEach(el => {
+            el.style.boxShadow = '';
+        });
+        // Remove any classification icons
+        boardEl.querySelectorAll('.board-cls-icon').forEach(el => el.remove());
+    }
+
+    /** Place a classification icon at the top-right corner of a square (like chess.com) */
+    function placeIconOnSquare(sq, iconSrc) {
+        const boardEl = document.getElementById('board');
+        if (!boardEl) return;
+        const squareEl = boardEl.querySelector('[data-square="' + sq + '"]');
+        if (!squareEl) return;
+
+        // Make square position relative for absolute child
+        squareEl.style.position = 'relative';
+        squareEl.style.overflow = 'visible';
+
+        const img = document.createElement('img');
+        img.className = 'board-cls-icon';
+        img.src = iconSrc;
+        img.style.cssText = `
+            position: absolute;
+            top: -8px; right: -8px;
+            width: 26px; height: 26px;
+            z-index: 20;
+            pointer-events: none;
+            filter: drop-shadow(0 1px 2px rgba(0,0,0,0.5));
+        `;
+        squareEl.appendChild(img);
+    }
+
+    /** Draw a chess.com-style arrow (thick, rounded, solid green) */
+    function drawArrow(fromSq, toSq, color, opacity) {
+        if (!svgOverlay || !fromSq || !toSq) return;
+        opacity = opacity || 0.8;
+
+        const boardEl = document.getElementById('board');
+        if (!boardEl) return;
+        const fromEl = boardEl.querySelector('[data-square="' + fromSq + '"]');
+        const toEl = boardEl.querySelector('[data-square="' + toSq + '"]');
+        if (!fromEl || !toEl) return;
+
+        const boardRect = boardEl.getBoundingClientRect();
+        const fromRect = fromEl.getBoundingClientRect();
+        const toRect = toEl.getBoundingClientRect();
+
+        const svgW = 800;
+        const scaleX = svgW / boardRect.width;
+        const scaleY = svgW / boardRect.height;
+
+        const fx = (fromRect.left - boardRect.left + fromRect.width / 2) * scaleX;
+        const fy = (fromRect.top - boardRect.top + fromRect.height / 2) * scaleY;
+        const tx = (toRect.left - boardRect.left + toRect.width / 2) * scaleX;
+        const ty = (toRect.top - boardRect.top + toRect.height / 2) * scaleY;
+
+        const dx = tx - fx;
+        const dy = ty - fy;
+        const len = Math.sqrt(dx * dx + dy * dy);
+        if (len < 1) return;
+
+        const ux = dx / len;
+        const uy = dy / len;
+        // Perpendicular
+        const px = -uy;
+        const py = ux;
+
+        // Arrow shaft width and head size
+        const sw = 12;  // shaft half-width
+        const headW = 30; // arrowhead half-width
+        const headL = 35; // arrowhead length
+
+        // Points along the shaft
+        const shaftEnd = len - headL;
+
+        // Build path: shaft rectangle + triangular head
+        const points = [
+            // Start left side of shaft
+            fx + px * sw, fy + py * sw,
+            // End left side of shaft (where head begins)
+            fx + ux * shaftEnd + px * sw, fy + uy * shaftEnd + py * sw,
+            // Left wing of arrowhead
+            fx + ux * shaftEnd + px * headW, fy + uy * shaftEnd + py * headW,
+            // Tip
+            tx, ty,
+            // Right wing of arrowhead
+            fx + ux * shaftEnd - px * headW, fy + uy * shaftEnd - py * headW,
+            // End right side of shaft
+            fx + ux * shaftEnd - px * sw, fy + uy * shaftEnd - py * sw,
+            // Start right side of shaft
+            fx - px * sw, fy - py * sw,
+        ];
+
+        const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        g.setAttribute('opacity', String(opacity));
+
+        const polygon = document.createElementNS('http://www.w3.org/2000/svg', 'polygon');
+        let pointsStr = '';
+        for (let i = 0; i < points.length; i += 2) {
+            pointsStr += points[i].toFixed(1) + ',' + points[i + 1].toFixed(1) + ' ';
+        }
+        polygon.setAttribute('points', pointsStr.trim());
+        polygon.setAttribute('fill', color);
+        g.appendChild(polygon);
+        svgOverlay.appendChild(g);
+    }
+
+    /**
+     * What the board draws over a position: the played move's highlight, its
+     * classification badge and the engine's best-move arrow (shared with image export).
+     */
+    function overlaySpec(sq, cls) {
+        const spec = { highlight: null, badge: null, arrow: null };
+
+        // 1. Colored square highlights for the played move
+        if (sq && cls) {
+            spec.highlight = { squares: [sq.from, sq.to], color: CLASS_COLORS[cls.key] || '#f7ec59', opacity: 0.45 };
+        } else if (sq) {
+            spec.highlight = { squares: [sq.from, sq.to], color: '#f7ec59', opacity: 0.3 };
+        }
+
+        // 2. Classification icon on the destination square (chess.com style)
+        if (sq && cls && CLASS_ICONS[cls.key]) {
+            spec.badge = { square: sq.kingTo || sq.to, key: cls.key, icon: CLASS_ICONS[cls.key], color: CLASS_COLORS[cls.key], label: cls.label || '' };
+        }
+
+        // 3. Engine best-move arrow (only for suboptimal moves — skip brilliant/great)
+        const skipArrow = cls && ['brilliant', 'great'].includes(cls.key);
+        if (cls && cls.engineBest && !skipArrow) {
+            const bf = cls.engineBest.substring(0, 2);
+            const bt = cls.engineBest.substring(2, 4);
+            if (/^[a-h][1-8]$/.test(bf) && /^[a-h][1-8]$/.test(bt)) {
+                spec.arrow = { from: bf, to: bt, color: '#96bc4b', opacity: 0.8 };
+            }
+        }
+        return spec;
+    }
+
+    /** Render board overlays for current position */
+    function renderOverlays() {
+        clearSquareHighlights();
+        clearOverlay();
+        setupOverlay();
+        if (logic.idx === 0) return;
+
+        const spec = overlaySpec(logic.currentMoveSquares(), logic.currentClassification());
+        if (spec.highlight) spec.highlight.squares.forEach(s => drawSquareHighlight(s, spec.highlight.color, spec.highlight.opacity));
+        if (spec.badge) placeIconOnSquare(spec.badge.square, spec.badge.icon);
+        if (spec.arrow) drawArrow(spec.arrow.from, spec.arrow.to, spec.arrow.color, spec.arrow.opacity);
+    }
+
+    // ═══════════════════════════════════
+    //  ENGINE (live eval)
+    // ═══════════════════════════════════
+    let evalDebounce = null;
+    let isAnalyzing = false;
+
+    const engine = new Engine(function onEval(data) {
+        if (isAnalyzing) return; // suppress live updates during batch analysis
+
+        let displayScore = data.score;
+        const turn = logic.turn();
+        if (turn === 'b') displayScore = -displayScore;
+
+        updateEvalUI(displayScore, data.isMate);
+
+        document.getElementById('engine-depth').textContent = data.depth;
+        document.getElementById('engine-eval').textContent =
+            data.isMate ? (displayScore > 0 ? '+' : '') + 'M' + Math.abs(data.score)
+                : (displayScore > 0 ? '+' : '') + displayScore.toFixed(1);
+        document.getElementById('engine-best').textContent = data.bestMove;
+
+        if (data.depth >= 12) {
+            document.getElementById('engine-spinner').classList.remove('active');
+        }
+    });
+
+    function requestEval() {
+        if (isAnalyzing) return;
+        clearTimeout(evalDebounce);
+        document.getElementById('engine-spinner').classList.add('active');
+        document.getElementById('engine-depth').textContent = '…';
+        document.getElementById('engine-eval').textContent = '…';
+        document.getElementById('engine-best').textContent = '…';
+
+        evalDebounce = setTimeout(() => {
+            engine.evaluate(logic.fen(), 14, { chess960: logic.chess960 });
+        }, 200);
+    }
+
+    function updateEvalUI(score, isMate) {
+        const fill = document.getElementById('eval-fill');
+        const label = document.getElementById('eval-label');
+        let pct = 50;
+        if (isMate) {
+            pct = score > 0 ? 98 : 2;
+        } else {
+            pct = 50 + (Math.tanh(score / 4) * 48);
+        }
+        fill.style.height = pct + '%';
+        label.textContent = isMate
+            ? (score > 0 ? '+' : '-') + 'M' + Math.abs(score)
+            : (score > 0 ? '+' : '') + score.toFixed(1);
+    }
+
+    // ═══════════════════════════════════
+    //  ENGINE POOL (batch analysis)
+    // ═══════════════════════════════════
+    let enginePool = null;
+    let poolSizeChanged = false;
+
+    /**
+     * Lazily (re)build the worker pool using the "Workers" setting. A new size waits
+     * until no run besides the caller's (`controller`) is still searching on the pool.
+     */
+    function getAnalysisPool(controller) {
+        const othersRunning = [analysisController, batchController, trendController].some(c => c && c !== controller);
+        if (enginePool && (!poolSizeChanged || othersRunning)) return enginePool;
+        if (enginePool) enginePool.terminate();
+
+        const workersSelect = document.getElementById('engine-workers-select');
+        const size = workersSelect && workersSelect.value !== 'auto' ? parseInt(workersSelect.value, 10) : undefined;
+        enginePool = new EnginePool(size);
+        poolSizeChanged = false;
+        return enginePool;
+    }
+
+    async function clearAnalysisCache() {
+        await analysisStore.clear();
+        // Whole-game results from older versions of the app that couldn't be migrated
+        Object.keys(localStorage)
+            .filter(k => k.startsWith('chess_analysis_v1_'))
+            .forEach(k => localStorage.removeItem(k));
+    }
+
+    // ═══════════════════════════════════
+    //  FULL GAME ANALYSIS
+    // ═══════════════════════════════════
+    let analysisController = null;
+    let reviewDepth = null; // depth the current classifications were computed at
+    let gameKnownEvals = null; // server evaluations of the loaded game (Lichess), searched positions fill the gaps
+
+    /** Abort the running full-game analysis, if any (Back, new game, Cancel button) */
+    function cancelAnalysis() {
+        if (analysisController) analysisController.abort();
+    }
+
+    async function runFullAnalysis() {
+        // A new request supersedes whatever analysis is still running
+        cancelAnalysis();
+        const controller = new AbortController();
+        analysisController = controller;
+        isAnalyzing = true;
+
+        const progressBar = document.getElementById('analysis-progress');
+        const progressFill = document.getElementById('analysis-progress-fill');
+        const progressText = document.getElementById('analysis-progress-text');
+        if (progressBar) progressBar.style.display = 'block';
+
+        try {
+            const depthSelect = document.getElementById('engine-depth-select');
+            const targetDepth = depthSelect ? parseInt(depthSelect.value, 10) : 14;
+
+            // A game reviewed before at this depth opens straight from its saved review
+            const id = currentReviewId(targetDepth);
+            let classifications = await savedReviewClassifications(id);
+            if (controller.signal.aborted) return;
+
+            if (!classifications) {
+                // Lichess's own analysis shows straight away; the local search only tops it up
+                const serverReview = classifyKnownEvals(logic, gameKnownEvals);
+                if (serverReview) {
+                    logic.classifications = serverReview;
+                    renderMoves();
+                    renderTimeChart();
+                    renderOverlays();
+                    renderExplanation();
+                    renderSummary();
+                    if (progressText) progressText.textContent = 'Showing the Lichess analysis; checking the rest…';
+                }
+
+                // Positions already searched deep enough (in this or any earlier game) come from the cache
+                const evaluator = new CachedEvaluator(getAnalysisPool(controller), analysisStore);
+                classifications = await analyzeFullGame(evaluator, logic, targetDepth, (i, total) => {
+                    if (controller.signal.aborted) return;
+                    const pct = Math.round((i / total) * 100);
+                    if (progressFill) progressFill.style.width = pct + '%';
+                    if (progressText) progressText.textContent = `Analyzing… ${i}/${total} half-moves`;
+                }, { signal: controller.signal, knownEvals: gameKnownEvals });
+                if (controller.signal.aborted) return;
+
+                logic.classifications = classifications;
+                analysisStore.putReview(id, buildReviewDocument(logic, { depth: targetDepth }));
+            }
+
+            logic.classifications = classifications;
+            reviewDepth = targetDepth;
+
+            renderMoves();
+            renderTimeChart();
+            renderOverlays();
+            renderSummary();
+
+            if (progressText) progressText.textContent = 'Analysis complete ✓';
+            setTimeout(() => { if (progressBar) progressBar.style.display = 'none'; }, 2000);
+        } catch (e) {
+            if (e.name === 'AbortError') {
+                // Only touch the UI if nothing newer has taken over the progress bar
+                if (analysisController === controller && progressBar) progressBar.style.display = 'none';
+                return;
+            }
+            console.error('Analysis error:', e);
+            if (progressText) progressText.textContent = 'Analysis failed';
+        } finally {
+            if (analysisController === controller) {
+                analysisController = null;
+                isAnalyzing = false;
+                requestEval();
+            }
+        }
+    }
+    // ═══════════════════════════════════
+    //  GAME SUMMARY
+    // ═══════════════════════════════════
+    function renderSummary() {
+        const panel = document.getElementById('summary-panel');
+        if (!panel || logic.classifications.length === 0) return;
+
+        const cats = ['brilliant', 'great', 'best', 'inaccuracy', 'mistake', 'miss', 'blunder'];
+        const catLabels = {
+            brilliant: '!!  Brilliant',
+            great: '!  Great',
+            best: '★  Best',
+            inaccuracy: '?!  Inaccuracy',
+            mistake: '?  Mistake',
+            miss: '✗  Miss',
+            blunder: '??  Blunder'
+        };
+
+        // Count per side (by the colour that actually moved)
+        const colors = logic.classifications.map((cls, i) => logic.squares[i].color);
+        const white = {}, black = {};
+        cats.forEach(c => { white[c] = 0; black[c] = 0; });
+
+        logic.classifications.forEach((cls, i) => {
+            const bucket = colors[i] === 'w' ? white : black;
+            // Map 'good' and 'book' into nearby categories
+            const key = (cls.key === 'good') ? 'best' : (cls.key === 'book') ? 'best' : cls.key;
+            if (bucket[key] !== undefined) bucket[key]++;
+        });
+
+        // Accuracy from win-percentage loss per move
+        const stats = computeAccuracyStats(logic.classifications, colors);
+        const fmtAcc = (v) => (v === null || v === undefined) ? '—' : v.toFixed(1);
+        const wAcc = fmtAcc(stats.w.accuracy);
+        const bAcc = fmtAcc(stats.b.accuracy);
+
+        document.getElementById('summary-white-name').textContent =
+            document.getElementById('white-name').textContent;
+        document.getElementById('summary-black-name').textContent =
+            document.getElementById('black-name').textContent;
+        document.getElementById('summary-white-acc').textContent = wAcc;
+        document.getElementById('summary-black-acc').textContent = bAcc;
+
+        // Display Overall Opening Name
+        const opening = logic.getGameOpening();
+        const openingDiv = document.getElementById('summary-opening-name');
+        if (openingDiv) {
+            openingDiv.textContent = opening ? `Opening: ${opening.eco} · ${opening.name}`
+                : logic.chess960 ? 'Chess960' : logic.hasCustomStart() ? 'From a custom starting position' : '';
+        }
+
+        // ACPL and per-phase accuracy
+        const statsEl = document.getElementById('summary-stats');
+        if (statsEl) {
+            const statRows = [
+                { label: 'Avg. CP loss', w: stats.w.acpl ?? '—', b: stats.b.acpl ?? '—' },
+                { label: 'Opening', w: fmtAcc(stats.w.phases.opening.accuracy), b: fmtAcc(stats.b.phases.opening.accuracy) },
+                { label: 'Middlegame', w: fmtAcc(stats.w.phases.middlegame.accuracy), b: fmtAcc(stats.b.phases.middlegame.accuracy) },
+                { label: 'Endgame', w: fmtAcc(stats.w.phases.endgame.accuracy), b: fmtAcc(stats.b.phases.endgame.accuracy) }
+            ];
+            statsEl.innerHTML = statRows.map(r => `
+                <div class="summary-row">
+                    <span class="sr-count">${r.w}</span>
+                    <span class="sr-label">${r.label}</span>
+                    <span class="sr-count">${r.b}</span>
+                </div>
+            `).join('');
+        }
+
+        // Build rows
+        const rowsEl = document.getElementById('summary-rows');
+        rowsEl.innerHTML = '';
+        cats.forEach(cat => {
+            const row = document.createElement('div');
+            row.className = 'summary-row';
+            row.innerHTML = `
+                <span class="sr-count">${white[cat]}</span>
+                <span class="sr-label" style="color:${CLASS_COLORS[cat]}">
+                    <span class="sr-dot" style="background:${CLASS_COLORS[cat]}"></span>
+                    ${catLabels[cat]}
+                </span>
+                <span class="sr-count">${black[cat]}</span>
+            `;
+            rowsEl.appendChild(row);
+        });
+
+        panel.style.display = 'block';
+    }
+
+    // ═══════════════════════════════════
+    //  EXPORT (annotated PGN)
+    // ═══════════════════════════════════
+    function reviewPGN() {
+        return buildAnnotatedPGN(logic, {
+            explain: (san, cls) => {
+                // The explanation is HTML (title + text); the PGN comment wants the text
+                const div = document.createElement('div');
+                div.innerHTML = ExplanationGenerator.generateExplanation(san, cls);
+                if (div.firstElementChild && div.firstElementChild.tagName === 'DIV') div.firstElementChild.remove();
+                return div.textContent.replace(/\s+/g, ' ').trim();
+            }
+        });
+    }
+
+    function reviewFileName(extension = 'pgn') {
+        const h = logic.headers;
+        const name = [h.White || 'White', 'vs', h.Black || 'Black', (h.Date || '').replace(/\?/g, '')]
+            .filter(Boolean).join('_');
+        return name.replace(/[^\w.-]+/g, '_') + '.' + extension;
+    }
+
+    function downloadBlob(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    function downloadReviewPGN() {
+        downloadBlob(new Blob([reviewPGN()], { type: 'application/x-chess-pgn' }), reviewFileName());
+    }
+
+    async function copyReviewPGN(btn) {
+        const label = btn.textContent;
+        try {
+            await navigator.clipboard.writeText(reviewPGN());
+            btn.textContent = '✓ Copied';
+        } catch (e) {
+            console.error('Clipboard write failed:', e);
+            btn.textContent = 'Copy failed';
+        }
+        setTimeout(() => { btn.textContent = label; }, 1500);
+    }
+
+    // ═══════════════════════════════════
+    //  SHARE (review permalinks)
+    // ═══════════════════════════════════
+    async function reviewLink() {
+        const fragment = await encodeReviewLink({
+            pgn: buildAnnotatedPGN(logic, { annotate: false }),
+            depth: reviewDepth,
+            classifications: logic.classifications,
+            move: logic.onMainline() ? logic.idx : 0
+        });
+        return `${location.origin}${location.pathname}${location.search}#${fragment}`;
+    }
+
+    async function shareReview(btn) {
+        const label = btn.textContent;
+        try {
+            const url = await reviewLink();
+            await navigator.clipboard.writeText(url);
+            btn.textContent = '✓ Link copied';
+        } catch (e) {
+            console.error('Share link failed:', e);
+            btn.textContent = 'Share failed';
+        }
+        setTimeout(() => { btn.textContent = label; }, 1500);
+    }
+
+    /** Open the review in the page's #review= fragment, if there is one */
+    async function openSharedReview() {
+        let review;
+        try {
+            review = await decodeReviewLink(location.hash);
+        } catch (e) {
+            console.error('Review link error:', e);
+            alert(`This review link could not be opened: ${e.message}`);
+            return;
+        }
+        if (!review) return;
+
+        if (!showReview(review.pgn, review.classifications, review.depth, review.move)) {
+            alert('This review link could not be opened: its review does not match the game\'s moves');
+        }
+    }
+
+    /**
+     * Load a game together with a finished review of it, opened at mainline position `move`.
+     * @returns {boolean} false, loading nothing, unless there's one classification per move
+     */
+    function showReview(pgn, classifications, depth, move = 0) {
+        const game = new ChessLogic();
+        if (!game.loadPGN(pgn) || game.sans.length === 0 || classifications.length !== game.sans.length) return false;
+
+        const h = parsePGNHeaders(pgn);
+        loadGame(pgn, h.White || 'White', h.Black || 'Black', false);
+        logic.classifications = classifications;
+        reviewDepth = depth;
+        if (btnRunAnalysis) btnRunAnalysis.style.display = 'none';
+        logic.goTo(Math.min(move, logic.sans.length));
+        refresh();
+        renderSummary();
+        return true;
+    }
+
+    // ═══════════════════════════════════
+    //  REVIEW FILES (JSON export / import, saved reviews)
+    // ═══════════════════════════════════
+    function currentReviewId(depth, gameLogic = logic) {
+        return reviewId({
+            variant: gameLogic.chess960 ? 'chess960' : 'standard',
+            depth: depth,
+            startFen: gameLogic.fens[0],
+            sans: gameLogic.sans
+        });
+    }
+
+    /** Classifications of a saved review, or null if there's none (or it can't be read any more) */
+    async function savedReviewClassifications(id, gameLogic = logic) {
+        const saved = await analysisStore.getReview(id);
+        if (!saved) return null;
+        try {
+            const classifications = reviewClassifications(parseReviewDocument(saved));
+            return classifications.length === gameLogic.sans.length ? classifications : null;
+        } catch (e) {
+            console.warn('Saved review ignored:', e.message);
+            return null;
+        }
+    }
+
+    function downloadReviewJSON() {
+        const doc = buildReviewDocument(logic, { depth: reviewDepth });
+        const blob = new Blob([JSON.stringify(doc, null, 2) + '\n'], { type: 'application/json' });
+        downloadBlob(blob, reviewFileName('review.json'));
+    }
+
+    async function importReviewFile(file) {
+        let doc, classifications;
+        try {
+            doc = parseReviewDocument(await file.text());
+            classifications = reviewClassifications(doc);
+        } catch (e) {
+            alert(`${file.name} could not be opened: ${e.message}`);
+            return;
+        }
+        if (classifications.length === 0) return alert(`${file.name} could not be opened: the review is unfinished`);
+        const depth = doc.engine && Number.isInteger(doc.engine.depth) ? doc.engine.depth : null;
+        if (!showReview(doc.game.pgn, classifications, depth)) {
+            return alert(`${file.name} could not be opened: its review does not match the game's moves`);
+        }
+        // Saved like a review made here (rebuilt from what was checked), so analysing the game again opens it instantly
+        if (depth) {
+            analysisStore.putReview(currentReviewId(depth), buildReviewDocument(logic, {
+                depth: depth,
+                model: doc.engine.model && typeof doc.engine.model === 'object' ? doc.engine.model : undefined
+            }));
+        }
+    }
+
+    // ═══════════════════════════════════
+    //  IMAGE EXPORT (PNG / animated GIF)
+    // ═══════════════════════════════════
+    let boardIcons = null; // classification icons for the badges, loaded on first export
+
+    /** Image frame for a position and the move that led to it */
+    function imageFrame(fen, sq, cls) {
+        return { fen, ...overlaySpec(sq, cls) };
+    }
+
+    async function imageOptions(size) {
+        if (!boardIcons) boardIcons = await loadBoardIcons(CLASS_ICONS);
+        return { size, flipped: isFlipped, icons: boardIcons };
+    }
+
+    /** PNG of the position on the board, with the same overlays */
+    async function downloadPositionPNG(btn) {
+        const label = btn.textContent;
+        try {
+            const frame = imageFrame(logic.fen(), logic.idx > 0 ? logic.currentMoveSquares() : null, logic.currentClassification());
+            const blob = await renderBoardPNG(frame, await imageOptions(640));
+            const name = reviewFileName('png').replace(/\.png$/, `_${logic.idx}.png`);
+            downloadBlob(blob, name);
+        } catch (e) {
+            console.error('PNG export failed:', e);
+            btn.textContent = 'Export failed';
+            setTimeout(() => { btn.textContent = label; }, 1500);
+        }
+    }
+
+    /** Animated GIF of the mainline, one frame per position */
+    async function downloadReviewGIF(btn) {
+        const label = btn.textContent;
+        btn.disabled = true;
+        try {
+            const frames = logic.fens.map((fen, i) => (i === 0
+                ? imageFrame(fen, null, null)
+                : imageFrame(fen, logic.squares[i - 1], logic.getMoveClassification(i - 1))));
+            const opts = await imageOptions(400);
+            opts.onProgress = (done, total) => { btn.textContent = `${Math.round(done / total * 100)}%`; };
+            downloadBlob(await renderBoardGIF(frames, opts), reviewFileName('gif'));
+            btn.textContent = label;
+        } catch (e) {
+            console.error('GIF export failed:', e);
+            btn.textContent = 'Export failed';
+            setTimeout(() => { btn.textContent = label; }, 1500);
+        }
+        btn.disabled = false;
+    }
+
+    // ═══════════════════════════════════
+    //  MOVE HISTORY
+    // ═══════════════════════════════════
+    function renderMoves() {
+        const body = document.getElementById('move-body');
+        body.innerHTML = '';
+        const moves = logic.moves();
+
+        // Rows follow the move counter of the start position, which may be Black to move
+        const startFields = logic.fens[0].split(' ');
+        const startNumber = parseInt(startFields[5]) || 1;
+        const offset = startFields[1] === 'b' ? 1 : 0; // empty White cell in the first row
+        const rows = moves.length > 0 ? Math.ceil((moves.length + offset) / 2) : 0;
+
+        for (let row = 0; row < rows; row++) {
+            const tr = document.createElement('tr');
+
+            // Move number
+            const tdNum = document.createElement('td');
+            tdNum.textContent = (startNumber + row) + '.';
+            tr.appendChild(tdNum);
+
+            const rowMoves = [row * 2 - offset, row * 2 + 1 - offset];
+            rowMoves.forEach(i => {
+                if (i >= 0 && i < moves.length) {
+                    appendMoveCell(tr, moves[i], i, i + 1);
+                } else {
+                    const td = document.createElement('td');
+                    if (i < 0) td.textContent = '…';
+                    tr.appendChild(td);
+                }
+            });
+
+            body.appendChild(tr);
+
+            // Side variations replacing either move of this row
+            rowMoves.forEach(i => {
+                if (i >= 0 && i < moves.length) appendVariationRows(body, logic.mainline[i]);
+            });
+        }
+
+        // Variations started from the final position of the game
+        appendVariationRows(body, logic.mainline[moves.length]);
+
+        const active = body.querySelector('.active');
+        if (active) active.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+
+    function appendMoveCell(tr, san, moveIdx, fenIdx) {
+        const td = document.createElement('td');
+        td.className = 'move-cell';
+
+        const cls = logic.getMoveClassification(moveIdx);
+
+        // Classification badge (chess.com icon)
+        if (cls && CLASS_ICONS[cls.key]) {
+            const badge = document.createElement('img');
+            badge.className = 'move-badge';
+            badge.src = CLASS_ICONS[cls.key];
+            badge.alt = cls.key;
+            badge.title = cls.key.charAt(0).toUpperCase() + cls.key.slice(1);
+            td.appendChild(badge);
+        }
+
+        const text = document.createSpan ? document.createSpan() : document.createElement('span');
+        text.textContent = san;
+        td.appendChild(text);
+
+        // Time the move took, when the PGN has clock data
+        const spent = logic.timeSpent[moveIdx];
+        if (spent !== null && spent !== undefined) {
+            const time = document.createElement('span');
+            time.className = 'move-time';
+            time.textContent = ExplanationGenerator.formatSeconds(spent, true);
+            time.title = `${spent}s spent` + (logic.clocks[moveIdx] !== null ? `, ${ExplanationGenerator.formatSeconds(logic.clocks[moveIdx], true)} left` : '');
+            td.appendChild(time);
+        }
+
+        // Left-border color
+        if (cls) {
+            td.style.borderLeftColor = CLASS_COLORS[cls.key];
+            if (cls.judgment) td.title = `Lichess: ${cls.judgment.comment || cls.judgment.name}`;
+        }
+
+        td.onclick = () => goToIndex(fenIdx);
+        if (logic.node === logic.mainline[fenIdx]) td.classList.add('active');
+
+        tr.appendChild(td);
+    }
+
+    // ── Time usage: one bar per move, White's above the axis and Black's below ──
+    function renderTimeChart() {
+        const panel = document.getElementById('time-panel');
+        const svg = document.getElementById('time-chart');
+        if (!panel || !svg) return;
+
+        const spent = logic.timeSpent;
+        if (!spent.some(t => t !== null)) {
+            panel.style.display = 'none';
+            return;
+        }
+        panel.style.display = 'block';
+
+        const n = spent.length;
+        const longest = Math.max(...spent.filter(t => t !== null), 1);
+        const SVG_NS = 'http://www.w3.org/2000/svg';
+        svg.setAttribute('viewBox', `0 0 ${n} 100`);
+        svg.innerHTML = '';
+
+        const axis = document.createElementNS(SVG_NS, 'line');
+        axis.setAttribute('x1', 0);
+        axis.setAttribute('x2', n);
+        axis.setAttribute('y1', 50);
+        axis.setAttribute('y2', 50);
+        axis.setAttribute('class', 'time-axis');
+        svg.appendChild(axis);
+
+        spent.forEach((t, i) => {
+            if (t === null) return;
+            const height = Math.max(1, (t / longest) * 48);
+            const isWhite = logic.squares[i].color === 'w';
+            const cls = logic.getMoveClassification(i);
+
+            const bar = document.createElementNS(SVG_NS, 'rect');
+            bar.setAttribute('x', i + 0.1);
+            bar.setAttribute('width', 0.8);
+            bar.setAttribute('y', isWhite ? 50 - height : 50);
+            bar.setAttribute('height', height);
+            bar.setAttribute('class', 'time-bar ' + (isWhite ? 'white' : 'black'));
+            // Errors keep their colour so slow (or hasty) mistakes stand out
+            if (cls && ['inaccuracy', 'mistake', 'miss', 'blunder'].includes(cls.key)) {
+                bar.style.fill = CLASS_COLORS[cls.key];
+            }
+            if (logic.node === logic.mainline[i + 1]) bar.classList.add('active');
+
+            const title = document.createElementNS(SVG_NS, 'title');
+            const number = moveNumberToken(logic.fens[i], true);
+            const left = logic.clocks[i] !== null ? `, ${ExplanationGenerator.formatSeconds(logic.clocks[i], true)} left` : '';
+            title.textContent = `${number} ${logic.sans[i]}: ${ExplanationGenerator.formatSeconds(t, true)}${left}`;
+            bar.appendChild(title);
+
+            bar.addEventListener('click', () => goToIndex(i + 1));
+            svg.appendChild(bar);
+        });
+    }
+
+    /** One full-width row per variation branching off before `parent`'s mainline child */
+    function appendVariationRows(body, parent) {
+        parent.children.filter(child => !child.mainline).forEach(variation => {
+            const tr = document.createElement('tr');
+            tr.className = 'variation-row';
+            const td = document.createElement('td');
+            td.colSpan = 3;
+            appendVariationLine(td, variation);
+            tr.appendChild(td);
+            body.appendChild(tr);
+        });
+    }
+
+    /** Inline text of a line starting at `node`, with nested alternatives in parentheses */
+    function appendVariationLine(container, node) {
+        let needsNumber = true;
+        let current = node;
+        while (current) {
+            appendVariationMove(container, current, needsNumber);
+            needsNumber = false;
+
+            // Alternatives to this move come right after it
+            const siblings = current.parent.children;
+            if (current !== node && siblings[0] === current && siblings.length > 1) {
+                siblings.slice(1).filter(s => !s.mainline).forEach(alt => {
+                    container.appendChild(document.createTextNode(' ('));
+                    appendVariationLine(container, alt);
+                    container.appendChild(document.createTextNode(')'));
+                });
+                needsNumber = true;
+            }
+            current = current.children[0];
+        }
+    }
+
+    function appendVariationMove(container, node, withNumber) {
+        const number = moveNumberToken(node.parent.fen, withNumber);
+        const span = document.createElement('span');
+        span.className = 'variation-move';
+        span.textContent = (number ? number + ' ' : '') + node.san;
+        if (node === logic.node) span.classList.add('active');
+        span.onclick = () => { logic.goToNode(node); refresh(); };
+        span.oncontextmenu = (e) => {
+            e.preventDefault();
+            logic.deleteVariation(node);
+            refresh();
+        };
+        span.title = 'Right-click to delete this variation';
+        const last = container.lastChild;
+        if (last && !(last.nodeType === Node.TEXT_NODE && last.textContent.endsWith('('))) {
+            container.appendChild(document.createTextNode(' '));
+        }
+        container.appendChild(span);
+    }
+
+    // ═══════════════════════════════════
+    //  NAVIGATION
+    // ═══════════════════════════════════
+    function goToIndex(i) {
+        logic.goTo(i);
+        refresh();
+    }
+
+    function renderExplanation() {
+        const expPanel = document.getElementById('explanation-panel');
+        const expText = document.getElementById('explanation-text');
+        const mascotImg = document.getElementById('reviewer-mascot-img');
+        if (!expPanel || !expText) return;
+
+        const cls = logic.currentClassification();
+        if (cls && logic.idx > 0) {
+            const moveSan = logic.node.san;
+            const exp = ExplanationGenerator.generateExplanation(moveSan, cls);
+            if (exp) {
+                expText.innerHTML = exp;
+                if (cls.judgment && cls.judgment.comment) {
+                    const note = document.createElement('div');
+                    note.className = 'server-judgment';
+                    note.textContent = `Lichess: ${cls.judgment.comment}`;
+                    expText.appendChild(note);
+                }
+                expPanel.style.display = 'flex';
+
+                if (mascotImg) {
+                    if (['inaccuracy', 'mistake', 'miss', 'blunder'].includes(cls.key)) {
+                        mascotImg.src = 'angry_cheshire.png';
+                    } else {
+                        mascotImg.src = 'cheshire.png';
+                    }
+                }
+                return;
+            }
+        }
+        expPanel.style.display = 'none';
+    }
+
+    function refresh() {
+        board.position(logic.fen(), true);
+        renderMoves();
+        renderTimeChart();
+        renderOverlays();
+        renderExplanation();
+        requestEval();
+    }
+
+    // Expose screens for other modules
+    window.appScreens = {
+        landing: landingScreen,
+        analysis: analysisScreen,
+        show: showScreen
+    };
+
+    const btnCancelAnalysis = document.getElementById('btn-cancel-analysis');
+    if (btnCancelAnalysis) {
+        btnCancelAnalysis.addEventListener('click', () => {
+            cancelAnalysis();
+            if (btnRunAnalysis) btnRunAnalysis.style.display = 'flex';
+        });
+    }
+
+    // ── Load a game ──
+    const btnRunAnalysis = document.getElementById('btn-run-analysis');
+    if (btnRunAnalysis) {
+        btnRunAnalysis.addEventListener('click', () => {
+            btnRunAnalysis.style.display = 'none';
+            runFullAnalysis();
+        });
+    }
+
+    /**
+     * Open a game on the analysis screen.
+     * @param {Array} [knownEvals] - the game's server evaluations (ChessAPI.lichessEvals); only
+     *   positions without one are searched by the local engine
+     */
+    function loadGame(pgn, whiteName, blackName, autoAnalyze = true, knownEvals = null) {
+        cancelAnalysis();
+        if (!logic.loadPGN(pgn)) {
+            alert('Could not parse PGN. Make sure it is valid.');
+            return;
+        }
+        // Clear previous game's summary
+        const summaryPanel = document.getElementById('summary-panel');
+        if (summaryPanel) summaryPanel.style.display = 'none';
+        logic.classifications = [];
+        reviewDepth = null;
+        gameKnownEvals = knownEvals && knownEvals.length === logic.fens.length ? knownEvals : null;
+
+        // Parse ELO from PGN if available, unless playing against Cheshire
+        let wElo = '', bElo = '';
+        if (whiteName !== 'Cheshire' && blackName !== 'Cheshire') {
+            const wMatch = pgn.match(/\[WhiteElo "(.*?)"\]/);
+            const bMatch = pgn.match(/\[BlackElo "(.*?)"\]/);
+            if (wMatch && wMatch[1] && wMatch[1] !== '?') wElo = ` (${wMatch[1]})`;
+            if (bMatch && bMatch[1] && bMatch[1] !== '?') bElo = ` (${bMatch[1]})`;
+        }
+
+        document.getElementById('white-name').textContent = (whiteName || 'White') + wElo;
+        document.getElementById('black-name').textContent = (blackName || 'Black') + bElo;
+        showScreen(analysisScreen);
+        refresh();
+
+        // Show / hide the manual analyze button (a bare position has no moves to review)
+        const hasMoves = logic.sans.length > 0;
+        if (btnRunAnalysis) {
+            btnRunAnalysis.style.display = autoAnalyze || !hasMoves ? 'none' : 'flex';
+        }
+
+        // Start full analysis automatically if requested
+        if (autoAnalyze && hasMoves) {
+            setTimeout(() => runFullAnalysis(), 500);
+        } else {
+            setTimeout(() => { requestEval(); }, 500);
+        }
+    }
+
+    // Expose loadGame for play mode
+    window.loadGame = loadGame;
+
+    // ── Tab switching ──
+    document.querySelectorAll('.tab-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            document.querySelectorAll('.tab-btn').forEach(b => b.classList.remove('active'));
+            document.querySelectorAll('.tab-content').forEach(c => c.classList.remove('active'));
+            btn.classList.add('active');
+            document.getElementById(btn.dataset.target).classList.add('active');
+        });
+    });
+
+    // ── Games lists (fetched games and imported PGN files share the same cards) ──
+    const fetchBtn = document.getElementById('fetch-btn');
+    const gamesList = document.getElementById('games-list');
+    const platformSelect = document.getElementById('platform-select');
+
+    /**
+     * A games list: where it renders, its chess.com-shaped games and how many are shown,
+     * plus the pager that loads earlier games once those run out and the games that pass
+     * the filters (fetched lists only; `filtered` is null when no filter is set)
+     */
+    function createGamesList(el) {
+        return { el: el, games: [], shown: 0, username: '', cards: new Map(), pager: null, filter: null, filtered: null };
+    }
+
+    /** The games a list shows: those passing its filter, or all of them */
+    function listedGames(list) {
+        return list.filtered || list.games;
+    }
+
+    const fetchedList = createGamesList(gamesList);
+    const pgnList = createGamesList(document.getElementById('pgn-games-list'));
+
+    function createGameCard(list, g) {
+        const w = g.white?.username || '?';
+        const b = g.black?.username || '?';
+        const wResult = g.white?.result || '';
+        const date = g.end_time ? new Date(g.end_time * 1000).toLocaleDateString() : (g.date || '');
+        const meta = [g.time_class || g.event || '', g.rules === 'chess960' ? 'Chess960' : '', date].filter(Boolean);
+
+        let resultClass, resultText;
+        if (list.username) {
+            const { result } = playerResult(g, list.username);
+            if (result === 'win') {
+                resultClass = 'win'; resultText = 'Win';
+            } else if (result === 'draw' || DRAW_RESULTS.includes(wResult)) {
+                resultClass = 'draw'; resultText = 'Draw';
+            } else {
+                resultClass = 'loss'; resultText = 'Loss';
+            }
+        } else {
+            // No point of view for an imported file: show the score as written
+            resultClass = g.result === '1/2-1/2' ? 'draw' : '';
+            resultText = g.result === '1/2-1/2' ? '½-½' : (g.result || '*');
+        }
+
+        const card = document.createElement('div');
+        card.className = 'game-card';
+        card.innerHTML = `
+            <div class="gc-players">${escapeHtml(w)} vs ${escapeHtml(b)}</div>
+            <div class="gc-meta">${meta.map(escapeHtml).join(' · ')}${meta.length ? ' · ' : ''}<span class="gc-result ${resultClass}">${resultText}</span><span class="gc-review"></span></div>
+        `;
+        card.addEventListener('click', () => loadGame(g.pgn, w, b, true, g.evals));
+        return card;
+    }
+
+    function renderGamesListBatch(list = fetchedList, count = 8) {
+        const games = listedGames(list);
+        const batch = games.slice(list.shown, list.shown + count);
+        if (batch.length > 0) list.el.querySelectorAll('.games-empty').forEach(el => el.remove());
+
+        batch.forEach(g => {
+            const card = createGameCard(list, g);
+            list.cards.set(g, card);
+            if (g.review) showCardReview(card, g.review);
+            list.el.appendChild(card);
+        });
+
+        list.shown += batch.length;
+
+        // "Load More" button management
+        const existingBtn = list.el.querySelector('.load-more-btn');
+        if (existingBtn) existingBtn.remove(); // Remove existing to put at bottom
+
+        if (list.shown < games.length || (list.pager && !list.pager.done)) {
+            const moreBtn = document.createElement('button');
+            moreBtn.className = 'btn-primary load-more-btn';
+            moreBtn.style.marginTop = '8px';
+            moreBtn.style.padding = '6px';
+            moreBtn.textContent = 'Load More';
+            moreBtn.onclick = () => (list.shown < listedGames(list).length ? renderGamesListBatch(list) : loadEarlierGames(list, moreBtn));
+            list.el.appendChild(moreBtn);
+        }
+    }
+
+    /** Fetch the list's next page of earlier games (the previous month on Chess.com) and show it */
+    async function loadEarlierGames(list, btn) {
+        btn.disabled = true;
+        btn.textContent = 'Loading…';
+        try {
+            const games = await fetchNextPage(list);
+            if (!games) return;
+            renderGamesListBatch(list);
+            if (games.length === 0 && list.games.length === 0) {
+                list.el.innerHTML = '<p class="muted-text">No games found.</p>';
+            }
+            if (list === fetchedList) {
+                updateFilterCount();
+                findFetchedOpenings();
+            }
+        } catch (e) {
+            console.error('Loading earlier games failed:', e);
+            btn.disabled = false;
+            btn.textContent = 'Load More (failed, retry)';
+        }
+    }
+
+    /**
+     * Add the pager's next page to a list (and to its filtered games).
+     * @returns {Promise<Array|null>} the new games, or null if a new fetch replaced the list meanwhile
+     */
+    async function fetchNextPage(list) {
+        const pager = list.pager;
+        const games = await pager.next();
+        if (list.pager !== pager) return null;
+        list.games.push(...games);
+        if (list.filtered) list.filtered.push(...games.filter(g => matchesGameFilter(g, list.filter, list.username)));
+        return games;
+    }
+
+    function showCardReview(card, review) {
+        const el = card.querySelector('.gc-review');
+        const fmt = (v) => (v === null || v === undefined) ? '—' : v.toFixed(1);
+        if (el) el.textContent = ` · Accuracy ${fmt(review.w)} / ${fmt(review.b)}`;
+    }
+
+    function escapeHtml(text) {
+        return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+    }
+
+    // ── Filters and search over the fetched games ──
+    const gamesFilters = document.getElementById('games-filters');
+    const filterInputs = {
+        text: document.getElementById('filter-text'),
+        timeClass: document.getElementById('filter-time-class'),
+        color: document.getElementById('filter-color'),
+        result: document.getElementById('filter-result'),
+        opponent: document.getElementById('filter-opponent'),
+        minRating: document.getElementById('filter-rating-min'),
+        maxRating: document.getElementById('filter-rating-max'),
+        opening: document.getElementById('filter-opening')
+    };
+    let openingsController = null;
+
+    function readGamesFilter() {
+        const filter = createGameFilter();
+        for (const [field, input] of Object.entries(filterInputs)) {
+            const value = input.value.trim();
+            if (field === 'minRating' || field === 'maxRating') filter[field] = value === '' ? null : Number(value);
+            else filter[field] = value;
+        }
+        return filter;
+    }
+
+    /** Re-filter the fetched games and redraw the list, keeping about as many cards as were shown */
+    function applyGamesFilter() {
+        const list = fetchedList;
+        const filter = readGamesFilter();
+        const active = JSON.stringify(filter) !== JSON.stringify(createGameFilter());
+        const keep = Math.max(8, list.shown);
+
+        list.filter = active ? filter : null;
+        list.filtered = active ? list.games.filter(g => matchesGameFilter(g, filter, list.username)) : null;
+        list.shown = 0;
+        list.cards = new Map();
+        list.el.innerHTML = '';
+        if (listedGames(list).length === 0) {
+            const more = list.pager && !list.pager.done ? ' Load More searches earlier games.' : '';
+            list.el.innerHTML = `<p class="muted-text games-empty">No loaded games match.${more}</p>`;
+        }
+        renderGamesListBatch(list, keep);
+        updateFilterCount();
+    }
+
+    function updateFilterCount() {
+        const el = document.getElementById('games-filter-count');
+        if (!el) return;
+        const list = fetchedList;
+        el.textContent = list.filtered
+            ? `${list.filtered.length} of ${list.games.length} loaded games`
+            : `${list.games.length} games loaded`;
+    }
+
+    /** Refill a drop-down with "all" plus `values`, keeping the current choice */
+    function fillFilterSelect(select, allLabel, values, label = v => v) {
+        const current = select.value;
+        select.innerHTML = '';
+        [''].concat(values).forEach(v => {
+            const option = document.createElement('option');
+            option.value = v;
+            option.textContent = v ? label(v) : allLabel;
+            select.appendChild(option);
+        });
+        select.value = values.includes(current) ? current : '';
+    }
+
+    function updateFilterOptions() {
+        const options = gameFilterOptions(fetchedList.games);
+        fillFilterSelect(filterInputs.timeClass, 'All time controls', options.timeClasses,
+            v => v.charAt(0).toUpperCase() + v.slice(1));
+        fillFilterSelect(filterInputs.opening, 'All openings', options.openings);
+    }
+
+    /** Work out the openings of newly loaded games, then refresh the opening choices (and the list if it depends on them) */
+    async function findFetchedOpenings() {
+        if (openingsController) openingsController.abort();
+        const controller = new AbortController();
+        openingsController = controller;
+        const list = fetchedList;
+        updateFilterOptions();
+        filterInputs.opening.disabled = true;
+
+        await findGameOpenings(list.games, (done, total) => {
+            filterInputs.opening.options[0].textContent = `Finding openings… ${done}/${total}`;
+        }, controller.signal);
+        if (controller.signal.aborted) return;
+
+        openingsController = null;
+        filterInputs.opening.disabled = false;
+        updateFilterOptions();
+        if (list.filter && (list.filter.opening || list.filter.text)) applyGamesFilter();
+    }
+
+    Object.values(filterInputs).forEach(input => {
+        input.addEventListener(input.tagName === 'SELECT' ? 'change' : 'input', () => applyGamesFilter());
+    });
+
+    // ── Trends: review the player's last N games and chart how they're doing ──
+    const trendToolbar = document.getElementById('games-batch-toolbar');
+    const trendStatus = document.getElementById('games-batch-status');
+    const trendBatchBtn = document.getElementById('games-batch-btn');
+    const trendCountSelect = document.getElementById('games-batch-count');
+    const trendDashboard = document.getElementById('trend-dashboard');
+    let trendController = null;
+
+    /** Trend record of the player whose games are listed */
+    async function loadFetchedTrend() {
+        const id = trendId(fetchedList.platform, fetchedList.username);
+        return (await analysisStore.getTrend(id))
+            || { id: id, platform: fetchedList.platform, username: fetchedList.username, updated: null, entries: {} };
+    }
+
+    async function showTrendToolbar() {
+        if (trendController) trendController.abort();
+        trendToolbar.style.display = 'flex';
+        trendDashboard.style.display = 'none';
+        const trend = await loadFetchedTrend();
+        const n = Object.keys(trend.entries).length;
+        trendStatus.textContent = n > 0 ? `${n} games in trends` : '';
+    }
+
+    /**
+     * Review the last N listed games (filters apply) in the background, skipping games
+     * already in the player's trends, then open the dashboard. Every game's review is
+     * saved too, so opening it afterwards is instant.
+     */
+    async function analyzeFetchedGames() {
+        const controller = new AbortController();
+        trendController = controller;
+        trendBatchBtn.textContent = 'Cancel';
+
+        const list = fetchedList;
+        const wanted = parseInt(trendCountSelect.value, 10) || 10;
+        const depthSelect = document.getElementById('engine-depth-select');
+        const targetDepth = depthSelect ? parseInt(depthSelect.value, 10) : 14;
+        const evaluator = new CachedEvaluator(getAnalysisPool(controller), analysisStore);
+
+        try {
+            // Page back far enough to have N games to look at
+            while (listedGames(list).length < wanted && list.pager && !list.pager.done) {
+                trendStatus.textContent = 'Loading earlier games…';
+                if (!(await fetchNextPage(list)) || controller.signal.aborted) return;
+            }
+            renderGamesListBatch(list, 0); // the Load More button follows what's loaded now
+            updateFilterCount();
+
+            const trend = await loadFetchedTrend();
+            const games = listedGames(list).slice(0, wanted);
+            for (let i = 0; i < games.length; i++) {
+                const g = games[i];
+                const done = trend.entries[trendGameId(g)];
+                if (done && done.depth >= targetDepth) continue;
+                trendStatus.textContent = `Analyzing game ${i + 1} of ${games.length}…`;
+
+                const gameLogic = new ChessLogic();
+                if (!gameLogic.loadPGN(g.pgn) || gameLogic.sans.length === 0) continue;
+                const id = currentReviewId(targetDepth, gameLogic);
+                let classifications = await savedReviewClassifications(id, gameLogic);
+                if (!classifications) {
+                    classifications = await analyzeFullGame(evaluator, gameLogic, targetDepth, null,
+                        { signal: controller.signal, knownEvals: g.evals });
+                    gameLogic.classifications = classifications;
+                    analysisStore.putReview(id, buildReviewDocument(gameLogic, { depth: targetDepth }));
+                }
+
+                const stats = computeAccuracyStats(classifications, gameLogic.squares.map(sq => sq.color));
+                g.review = { w: stats.w.accuracy, b: stats.b.accuracy };
+                const card = list.cards.get(g);
+                if (card) showCardReview(card, g.review);
+
+                const entry = trendEntry(g, gameLogic, classifications, list.username, targetDepth);
+                if (!entry) continue;
+                trend.entries[entry.id] = entry;
+                trend.updated = Date.now();
+                await analysisStore.putTrend(trend); // progress survives a cancel or a closed tab
+            }
+            trendStatus.textContent = `${Object.keys(trend.entries).length} games in trends ✓`;
+            renderTrendDashboard(trend);
+        } catch (e) {
+            if (e.name !== 'AbortError') {
+                console.error('Batch analysis error:', e);
+                trendStatus.textContent = 'Batch analysis failed';
+            }
+        } finally {
+            if (trendController === controller) {
+                trendController = null;
+                trendBatchBtn.textContent = 'Analyze all';
+            }
+        }
+    }
+
+    trendBatchBtn.addEventListener('click', () => {
+        if (trendController) trendController.abort();
+        else analyzeFetchedGames();
+    });
+
+    document.getElementById('games-trends-btn').addEventListener('click', async () => {
+        if (trendDashboard.style.display !== 'none') {
+            trendDashboard.style.display = 'none';
+            return;
+        }
+        renderTrendDashboard(await loadFetchedTrend());
+    });
+
+    function formatPercent(value) {
+        return value === null ? '—' : value.toFixed(1);
+    }
+
+    /** Draw the dashboard for a trend record: headline numbers, accuracy over time, errors per game, phases, openings */
+    function renderTrendDashboard(trend) {
+        const summary = summarizeTrend(Object.values(trend.entries));
+        trendDashboard.style.display = 'block';
+        if (summary.games.length === 0) {
+            trendDashboard.innerHTML = '<p class="muted-text">No analysed games yet. "Analyze all" reviews the latest ones.</p>';
+            return;
+        }
+
+        const games = summary.games;
+        const n = games.length;
+        const x = (i) => (n === 1 ? 150 : 10 + (i / (n - 1)) * 280);
+        const y = (accuracy) => 95 - (accuracy / 100) * 90;
+        const title = (e) => escapeHtml(`${e.endTime ? new Date(e.endTime * 1000).toLocaleDateString() : ''} vs ${e.opponent}: `
+            + `${e.result}, accuracy ${formatPercent(e.accuracy)}, ${e.blunders} blunders, ${e.mistakes} mistakes`);
+
+        const rollingPoints = summary.rolling
+            .map((v, i) => (v === null ? null : `${x(i).toFixed(1)},${y(v).toFixed(1)}`))
+            .filter(Boolean).join(' ');
+        const dots = games.map((e, i) => (e.accuracy === null ? '' :
+            `<circle class="trend-dot ${e.result}" cx="${x(i).toFixed(1)}" cy="${y(e.accuracy).toFixed(1)}" r="2.6"><title>${title(e)}</title></circle>`)).join('');
+
+        const mostErrors = Math.max(1, ...games.map(e => e.blunders + e.mistakes));
+        const slot = 280 / n;
+        const bars = games.map((e, i) => {
+            const bx = 10 + i * slot + slot * 0.15;
+            const bw = Math.max(0.5, slot * 0.7);
+            const bh = (e.blunders / mostErrors) * 50;
+            const mh = (e.mistakes / mostErrors) * 50;
+            return `<g><title>${title(e)}</title>`
+                + `<rect class="trend-bar blunder" x="${bx.toFixed(1)}" y="${(55 - bh).toFixed(1)}" width="${bw.toFixed(1)}" height="${bh.toFixed(1)}"></rect>`
+                + `<rect class="trend-bar mistake" x="${bx.toFixed(1)}" y="${(55 - bh - mh).toFixed(1)}" width="${bw.toFixed(1)}" height="${mh.toFixed(1)}"></rect></g>`;
+        }).join('');
+
+        const phaseRows = ['opening', 'middlegame', 'endgame'].map(phase => {
+            const value = summary.phases[phase];
+            return `<div class="trend-phase"><span>${phase.charAt(0).toUpperCase() + phase.slice(1)}</span>`
+                + `<div class="trend-phase-track"><div class="trend-phase-fill" style="width:${value === null ? 0 : value.toFixed(1)}%"></div></div>`
+                + `<span>${formatPercent(value)}</span></div>`;
+        }).join('');
+
+        const openingRows = summary.openings.slice(0, 8).map(o =>
+            `<tr><td>${escapeHtml(o.name)}</td><td>${o.games}</td><td>${o.wins} / ${o.draws} / ${o.losses}</td><td>${formatPercent(o.accuracy)}</td></tr>`).join('');
+
+        trendDashboard.innerHTML = `
+            <div class="trend-stats">
+                <div><strong>${n}</strong><span>games</span></div>
+                <div><strong>${formatPercent(summary.accuracy)}</strong><span>accuracy</span></div>
+                <div><strong>${summary.blundersPerGame.toFixed(2)}</strong><span>blunders / game</span></div>
+                <div><strong>${formatPercent(summary.score)}%</strong><span>score</span></div>
+            </div>
+            <div class="trend-title">Accuracy over time <span class="muted">(line: last ${TREND_ROLLING_WINDOW} games)</span></div>
+            <svg class="trend-chart" viewBox="0 0 300 100">
+                <line class="trend-grid" x1="10" x2="290" y1="${y(50)}" y2="${y(50)}"></line>
+                <line class="trend-grid" x1="10" x2="290" y1="${y(80)}" y2="${y(80)}"></line>
+                <polyline class="trend-line" points="${rollingPoints}"></polyline>
+                ${dots}
+            </svg>
+            <div class="trend-title">Blunders <span class="muted">and mistakes</span> per game</div>
+            <svg class="trend-chart errors" viewBox="0 0 300 60">
+                <line class="trend-grid" x1="10" x2="290" y1="55" y2="55"></line>
+                ${bars}
+            </svg>
+            <div class="trend-title">Accuracy by phase</div>
+            ${phaseRows}
+            <div class="trend-title">Results by opening</div>
+            <table class="trend-openings">
+                <thead><tr><th>Opening</th><th>Games</th><th>W / D / L</th><th>Acc.</th></tr></thead>
+                <tbody>${openingRows}</tbody>
+            </table>`;
+    }
+
+    // ── Paste / upload PGN ──
+    const pgnToolbar = document.getElementById('pgn-games-toolbar');
+    const pgnBatchBtn = document.getElementById('pgn-batch-btn');
+    let batchController = null;
+
+    /** Chess.com-shaped game object (as the cards expect) from a single-game PGN */
+    function gameFromPGN(pgn) {
+        const h = parsePGNHeaders(pgn);
+        const known = (v) => (v && !v.includes('?')) ? v : '';
+        return {
+            pgn: pgn,
+            white: { username: h.White || 'White' },
+            black: { username: h.Black || 'Black' },
+            result: h.Result || '*',
+            date: known(h.Date || h.UTCDate || ''),
+            event: known(h.Event || '')
+        };
+    }
+
+    /** A single game opens straight away; several go to the list below the text box */
+    function importPGN(text) {
+        const games = splitPGN(text);
+        if (games.length === 0) return alert('No games found in this PGN.');
+        if (games.length === 1) {
+            const h = parsePGNHeaders(games[0]);
+            return loadGame(games[0], h.White || 'White', h.Black || 'Black');
+        }
+
+        if (batchController) batchController.abort();
+        pgnList.el.innerHTML = '';
+        pgnList.games = games.map(gameFromPGN);
+        pgnList.shown = 0;
+        pgnList.cards = new Map();
+        renderGamesListBatch(pgnList);
+
+        document.getElementById('pgn-games-count').textContent = `${games.length} games`;
+        pgnBatchBtn.textContent = 'Analyze all';
+        pgnToolbar.style.display = 'flex';
+    }
+
+    /** Review every imported game in turn; the reviews are saved and their accuracies shown on the cards */
+    async function analyzePGNGames() {
+        const controller = new AbortController();
+        batchController = controller;
+        pgnBatchBtn.textContent = 'Cancel';
+
+        const depthSelect = document.getElementById('engine-depth-select');
+        const targetDepth = depthSelect ? parseInt(depthSelect.value, 10) : 14;
+        const evaluator = new CachedEvaluator(getAnalysisPool(controller), analysisStore);
+        const countEl = document.getElementById('pgn-games-count');
+        const games = pgnList.games;
+
+        try {
+            for (let i = 0; i < games.length; i++) {
+                const g = games[i];
+                if (g.review) continue;
+                countEl.textContent = `Analyzing game ${i + 1} of ${games.length}…`;
+
+                const gameLogic = new ChessLogic();
+                if (!gameLogic.loadPGN(g.pgn) || gameLogic.sans.length === 0) continue; // nothing to review (e.g. a forfeit)
+                // Saved like a single-game review, so opening the game afterwards needs no search
+                const id = currentReviewId(targetDepth, gameLogic);
+                let classifications = await savedReviewClassifications(id, gameLogic);
+                if (!classifications) {
+                    classifications = await analyzeFullGame(evaluator, gameLogic, targetDepth, null, { signal: controller.signal });
+                    gameLogic.classifications = classifications;
+                    analysisStore.putReview(id, buildReviewDocument(gameLogic, { depth: targetDepth }));
+                }
+                const stats = computeAccuracyStats(classifications, gameLogic.squares.map(sq => sq.color));
+                g.review = { w: stats.w.accuracy, b: stats.b.accuracy };
+
+                const card = pgnList.cards.get(g);
+                if (card) showCardReview(card, g.review);
+            }
+            countEl.textContent = `${games.length} games analyzed ✓`;
+        } catch (e) {
+            if (e.name !== 'AbortError') {
+                console.error('Batch analysis error:', e);
+                countEl.textContent = 'Batch analysis failed';
+            } else if (pgnList.games === games) {
+                countEl.textContent = `${games.length} games`;
+            }
+        } finally {
+            if (batchController === controller) {
+                batchController = null;
+                pgnBatchBtn.textContent = 'Analyze all';
+            }
+        }
+    }
+
+    pgnBatchBtn.addEventListener('click', () => {
+        if (batchController) batchController.abort();
+        else analyzePGNGames();
+    });
+
+    /** Fetch and open the game a Lichess / Chess.com link (or Lichess id) points to */
+    async function importGameLink(ref, btn) {
+        const label = btn.querySelector('span');
+        const text = label.textContent;
+        btn.disabled = true;
+        label.textContent = 'Loading game…';
+        try {
+            // A Chess.com game is found quickest in the archive of the player typed under Fetch Games
+            const username = document.getElementById('username-input').value.trim();
+            const g = await api.fetchGame(ref, platformSelect.value === 'chesscom' && username ? username : null);
+            loadGame(g.pgn, g.white.username, g.black.username, true, g.evals);
+        } catch (e) {
+            console.error('Game link error:', e);
+            alert(`Could not load that game: ${e.message}`);
+        } finally {
+            btn.disabled = false;
+            label.textContent = text;
+        }
+    }
+
+    document.getElementById('analyze-pgn-btn').addEventListener('click', (e) => {
+        const pgn = document.getElementById('pgn-input').value.trim();
+        if (!pgn) return alert('Please paste a PGN or a game link first.');
+        const ref = ChessAPI.parseGameRef(pgn);
+        if (ref) return importGameLink(ref, e.currentTarget);
+        importPGN(pgn);
+    });
+
+    document.getElementById('pgn-file-input').addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        e.target.value = ''; // picking the same file again should still fire
+        if (file) importPGN(await file.text());
+    });
+
+    // ── Paste FEN (a single position to explore) ──
+    document.getElementById('analyze-fen-btn').addEventListener('click', () => {
+        const fen = document.getElementById('fen-input').value.trim();
+        if (!fen) return alert('Please paste a FEN first.');
+        const position = new ChessLogic();
+        if (!position.loadFEN(fen)) return alert('This FEN is not a valid position.');
+        loadGame(buildAnnotatedPGN(position), 'White', 'Black', false);
+    });
+
+    // ── Fetch Games ──
+    const fetchFromInput = document.getElementById('fetch-from-date');
+    const fetchToInput = document.getElementById('fetch-to-date');
+
+    /** Date range picked for fetching, as Unix seconds from the start of "From" to the end of "To" (local days) */
+    function fetchDateRange() {
+        const day = (input, endOfDay) => {
+            if (!input || !input.value) return null;
+            const [y, m, d] = input.value.split('-').map(Number);
+            return new Date(y, m - 1, endOfDay ? d + 1 : d).getTime() / 1000 - (endOfDay ? 1 : 0);
+        };
+        return { since: day(fetchFromInput, false), until: day(fetchToInput, true) };
+    }
+    const offlineNote = document.getElementById('games-offline-note');
+
+    /** Games were answered from the offline copy because the site couldn't be reached */
+    function showOfflineNote(savedAt) {
+        offlineNote.textContent = `Offline: showing games saved on ${new Date(savedAt).toLocaleString()}`;
+        offlineNote.style.display = 'block';
+    }
+
+    fetchBtn.addEventListener('click', async () => {
+        const username = document.getElementById('username-input').value.trim();
+        if (!username) return;
+
+        offlineNote.style.display = 'none';
+        fetchBtn.disabled = true;
+        fetchBtn.textContent = '…';
+        gamesList.innerHTML = '<p class="muted-text">Loading…</p>';
+
+        try {
+            const platform = platformSelect.value;
+            const range = fetchDateRange();
+            const pager = platform === 'lichess' ? api.lichessPager(username, range) : api.chessComPager(username, range);
+            fetchedList.pager = pager;
+            const games = await pager.next();
+            if (fetchedList.pager !== pager) return; // superseded by a newer fetch
+
+            if (games.length === 0) {
+                gamesList.innerHTML = `<p class="muted-text">${range.since || range.until ? 'No games found in these dates.' : 'No recent games found.'}</p>`;
+                return;
+            }
+            gamesList.innerHTML = '';
+
+            // Store fetch results for pagination
+            fetchedList.games = games;
+            fetchedList.shown = 0;
+            fetchedList.username = username;
+            fetchedList.platform = platform;
+            fetchedList.cards = new Map();
+            gamesFilters.style.display = 'flex';
+            showTrendToolbar();
+
+            applyGamesFilter();
+            findFetchedOpenings();
+
+        } catch (e) {
+            gamesList.innerHTML = `<p class="muted-text" style="color:var(--red)">Error: ${e.message}</p>`;
+        } finally {
+            fetchBtn.disabled = false;
+            fetchBtn.textContent = 'Fetch';
+        }
+    });
+
+    // ── Nav buttons ──
+    document.getElementById('btn-start').addEventListener('click', () => { logic.goStart(); refresh(); });
+    document.getElementById('btn-prev').addEventListener('click', () => { logic.goPrev(); refresh(); });
+    document.getElementById('btn-next').addEventListener('click', () => { logic.goNext(); refresh(); });
+    document.getElementById('btn-end').addEventListener('click', () => { logic.goEnd(); refresh(); });
+    document.getElementById('btn-flip').addEventListener('click', () => {
+        board.flip();
+        isFlipped = !isFlipped;
+        // Swap player name bars
+        const topName = document.getElementById('black-name');
+        const botName = document.getElementById('white-name');
+        const tmp = topName.textContent;
+        topName.textContent = botName.textContent;
+        botName.textContent = tmp;
+        renderOverlays();
+    });
+    document.getElementById('btn-back').addEventListener('click', () => {
+        cancelAnalysis();
+        clearOverlay();
+        showScreen(landingScreen);
+    });
+
+    // ── Keyboard nav ──
+    document.addEventListener('keydown', e => {
+        if (e.target.tagName === 'TEXTAREA' || e.target.tagName === 'INPUT') return;
+        if (e.key === 'ArrowLeft') { logic.goPrev(); refresh(); }
+        if (e.key === 'ArrowRight') { logic.goNext(); refresh(); }
+        // Up / Down switch between the alternatives to the last move
+        if (e.key === 'ArrowUp') { e.preventDefault(); logic.goSibling(-1); refresh(); }
+        if (e.key === 'ArrowDown') { e.preventDefault(); logic.goSibling(1); refresh(); }
+        if (e.key === 'Home') { logic.goStart(); refresh(); }
+        if (e.key === 'End') { logic.goEnd(); refresh(); }
+    });
+
+    // ── Settings ──
+    const depthSelect = document.getElementById('engine-depth-select');
+    if (depthSelect) {
+        depthSelect.addEventListener('change', () => {
+            if (logic.fens.length > 1) {
+                runFullAnalysis(); // restarts at the new depth if one is running
+            }
+        });
+    }
+
+    const workersSelect = document.getElementById('engine-workers-select');
+    if (workersSelect) {
+        workersSelect.value = localStorage.getItem('chess_engine_workers') || 'auto';
+        workersSelect.addEventListener('change', () => {
+            localStorage.setItem('chess_engine_workers', workersSelect.value);
+            poolSizeChanged = true; // rebuilt before the next analysis, never mid-run
+        });
+    }
+
+    const exportPgnBtn = document.getElementById('btn-export-pgn');
+    if (exportPgnBtn) exportPgnBtn.addEventListener('click', downloadReviewPGN);
+    const copyPgnBtn = document.getElementById('btn-copy-pgn');
+    if (copyPgnBtn) copyPgnBtn.addEventListener('click', () => copyReviewPGN(copyPgnBtn));
+    const shareBtn = document.getElementById('btn-share-review');
+    if (shareBtn) shareBtn.addEventListener('click', () => shareReview(shareBtn));
+    const exportJsonBtn = document.getElementById('btn-export-json');
+    if (exportJsonBtn) exportJsonBtn.addEventListener('click', downloadReviewJSON);
+    const reviewFileInput = document.getElementById('review-file-input');
+    if (reviewFileInput) {
+        reviewFileInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) importReviewFile(file);
+        });
+    }
+    const exportGifBtn = document.getElementById('btn-export-gif');
+    if (exportGifBtn) exportGifBtn.addEventListener('click', () => downloadReviewGIF(exportGifBtn));
+    const exportPngBtn = document.getElementById('btn-export-png');
+    if (exportPngBtn) exportPngBtn.addEventListener('click', () => downloadPositionPNG(exportPngBtn));
+
+    const clearCacheBtn = document.getElementById('btn-clear-cache');
+    if (clearCacheBtn) {
+        clearCacheBtn.addEventListener('click', async () => {
+            const stored = await analysisStore.count();
+            if (!confirm(`Clear the analysis cache (${stored} positions)? Games will be re-analyzed from scratch.`)) return;
+            await clearAnalysisCache();
+        });
+    }
+
+    // ── Init ──
+    initBoard();
+    migrateLegacyReviews(localStorage, analysisStore).catch(e => console.warn('Review migration failed:', e));
+    openSharedReview();
+    window.addEventListener('hashchange', openSharedReview);
+})();
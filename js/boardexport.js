@@ -0,0 +1,471 @@
+/**
+ * Board images — review positions drawn on a canvas the way the analysis board shows
+ * them (move highlight, classification badge, best-move arrow), saved as a PNG of one
+ * position or an animated GIF of the game. Drawing and encoding happen in the page.
+ *
+ * A frame describes one position:
+ *   { fen, highlight: {squares, color, opacity}|null, badge: {square, key, color, label}|null,
+ *     arrow: {from, to, color, opacity}|null }
+ */
+const BOARD_IMAGE_THEME = {
+    light: '#f0d9b5',
+    dark: '#b58863',
+    whitePiece: '#ffffff',
+    blackPiece: '#1a1a1a',
+};
+
+/** Solid chess glyphs, drawn in both colours; U+FE0E keeps the pawn from turning into an emoji */
+const PIECE_GLYPHS = { k: '♚', q: '♛', r: '♜', b: '♝', n: '♞', p: '♟︎' };
+const PIECE_FONT = '"DejaVu Sans", "Segoe UI Symbol", "Noto Sans Symbols 2", "Arial Unicode MS", serif';
+
+/** Centre of a square in pixels on a `size`-pixel board */
+function boardSquareCenter(sq, size, flipped) {
+    const cell = size / 8;
+    const file = sq.charCodeAt(0) - 97;
+    const rank = parseInt(sq[1]) - 1;
+    const col = flipped ? 7 - file : file;
+    const row = flipped ? rank : 7 - rank;
+    return { x: col * cell + cell / 2, y: row * cell + cell / 2 };
+}
+
+/** Pieces of a FEN's board field as [{square, type, color}] */
+function fenPieces(fen) {
+    const pieces = [];
+    fen.split(' ')[0].split('/').forEach((row, r) => {
+        let file = 0;
+        for (const ch of row) {
+            if (/\d/.test(ch)) { file += parseInt(ch); continue; }
+            pieces.push({
+                square: String.fromCharCode(97 + file) + (8 - r),
+                type: ch.toLowerCase(),
+                color: ch === ch.toUpperCase() ? 'w' : 'b'
+            });
+            file++;
+        }
+    });
+    return pieces;
+}
+
+function drawBoardSquares(ctx, size, flipped) {
+    const cell = size / 8;
+    for (let row = 0; row < 8; row++) {
+        for (let col = 0; col < 8; col++) {
+            ctx.fillStyle = (row + col) % 2 === 0 ? BOARD_IMAGE_THEME.light : BOARD_IMAGE_THEME.dark;
+            ctx.fillRect(col * cell, row * cell, cell, cell);
+        }
+    }
+
+    // Coordinates along the bottom and left edges, like the board's notation
+    ctx.font = `bold ${Math.round(cell * 0.18)}px sans-serif`;
+    for (let i = 0; i < 8; i++) {
+        const file = String.fromCharCode(97 + (flipped ? 7 - i : i));
+        const rank = String(flipped ? i + 1 : 8 - i);
+        ctx.fillStyle = i % 2 === 0 ? BOARD_IMAGE_THEME.dark : BOARD_IMAGE_THEME.light;
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        ctx.fillText(rank, cell * 0.05, i * cell + cell * 0.04);
+        ctx.fillStyle = i % 2 === 0 ? BOARD_IMAGE_THEME.light : BOARD_IMAGE_THEME.dark;
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'bottom';
+        ctx.fillText(file, (i + 1) * cell - cell * 0.05, size - cell * 0.03);
+    }
+}
+
+function drawBoardHighlight(ctx, highlight, size, flipped) {
+    const cell = size / 8;
+    ctx.save();
+    ctx.globalAlpha = highlight.opacity;
+    ctx.fillStyle = highlight.color;
+    highlight.squares.forEach(sq => {
+        const c = boardSquareCenter(sq, size, flipped);
+        ctx.fillRect(c.x - cell / 2, c.y - cell / 2, cell, cell);
+    });
+    ctx.restore();
+}
+
+function drawBoardPieces(ctx, fen, size, flipped) {
+    const cell = size / 8;
+    ctx.save();
+    ctx.font = `${Math.round(cell * 0.8)}px ${PIECE_FONT}`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.lineJoin = 'round';
+    fenPieces(fen).forEach(p => {
+        const c = boardSquareCenter(p.square, size, flipped);
+        const white = p.color === 'w';
+        // A dark outline under the fill keeps white pieces readable on light squares
+        ctx.lineWidth = cell * (white ? 0.06 : 0.03);
+        ctx.strokeStyle = BOARD_IMAGE_THEME.blackPiece;
+        ctx.strokeText(PIECE_GLYPHS[p.type], c.x, c.y + cell * 0.04);
+        ctx.fillStyle = white ? BOARD_IMAGE_THEME.whitePiece : BOARD_IMAGE_THEME.blackPiece;
+        ctx.fillText(PIECE_GLYPHS[p.type], c.x, c.y + cell * 0.04);
+    });
+    ctx.restore();
+}
+
+/** Same shape as the board's SVG arrow: straight shaft, triangular head (sizes per 800px board) */
+function drawBoardArrow(ctx, arrow, size, flipped) {
+    const from = boardSquareCenter(arrow.from, size, flipped);
+    const to = boardSquareCenter(arrow.to, size, flipped);
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+    const len = Math.sqrt(dx * dx + dy * dy);
+    if (len < 1) return;
+
+    const scale = size / 800;
+    const ux = dx / len, uy = dy / len;
+    const px = -uy, py = ux;
+    const sw = 12 * scale, headW = 30 * scale, headL = 35 * scale;
+    const shaftEnd = len - headL;
+    const points = [
+        [from.x + px * sw, from.y + py * sw],
+        [from.x + ux * shaftEnd + px * sw, from.y + uy * shaftEnd + py * sw],
+        [from.x + ux * shaftEnd + px * headW, from.y + uy * shaftEnd + py * headW],
+        [to.x, to.y],
+        [from.x + ux * shaftEnd - px * headW, from.y + uy * shaftEnd - py * headW],
+        [from.x + ux * shaftEnd - px * sw, from.y + uy * shaftEnd - py * sw],
+        [from.x - px * sw, from.y - py * sw],
+    ];
+
+    ctx.save();
+    ctx.globalAlpha = arrow.opacity || 0.8;
+    ctx.fillStyle = arrow.color;
+    ctx.beginPath();
+    points.forEach(([x, y], i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+    ctx.closePath();
+    ctx.fill();
+    ctx.restore();
+}
+
+/** Badge at the top-right corner of a square: the classification icon, or a labelled disc without one */
+function drawBoardBadge(ctx, badge, size, flipped, icons) {
+    const cell = size / 8;
+    const r = cell * 0.22;
+    const c = boardSquareCenter(badge.square, size, flipped);
+    // Pulled in from the board edge so a badge on the h-file or top rank isn't cut off
+    const x = Math.min(c.x + cell / 2 - r * 0.4, size - r);
+    const y = Math.max(c.y - cell / 2 + r * 0.4, r);
+
+    ctx.save();
+    ctx.shadowColor = 'rgba(0,0,0,0.5)';
+    ctx.shadowBlur = r * 0.3;
+    ctx.shadowOffsetY = r * 0.1;
+    const icon = icons && icons[badge.key];
+    if (icon) {
+        ctx.drawImage(icon, x - r, y - r, r * 2, r * 2);
+    } else {
+        ctx.fillStyle = badge.color;
+        ctx.beginPath();
+        ctx.arc(x, y, r, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.shadowColor = 'transparent';
+        ctx.fillStyle = '#ffffff';
+        ctx.font = `bold ${Math.round(r * (badge.label.length > 1 ? 1.0 : 1.3))}px sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(badge.label, x, y + r * 0.05);
+    }
+    ctx.restore();
+}
+
+/**
+ * Draw one frame onto a canvas context.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Object} frame - see the top of this file
+ * @param {Object} [opts]
+ * @param {number} [opts.size=480] - board size in pixels
+ * @param {boolean} [opts.flipped=false] - Black at the bottom
+ * @param {Object} [opts.icons] - classification key → loaded image, for the badges
+ */
+function drawBoardImage(ctx, frame, opts = {}) {
+    const size = opts.size || 480;
+    const flipped = !!opts.flipped;
+    drawBoardSquares(ctx, size, flipped);
+    if (frame.highlight) drawBoardHighlight(ctx, frame.highlight, size, flipped);
+    drawBoardPieces(ctx, frame.fen, size, flipped);
+    if (frame.arrow) drawBoardArrow(ctx, frame.arrow, size, flipped);
+    if (frame.badge) drawBoardBadge(ctx, frame.badge, size, flipped, opts.icons);
+}
+
+/**
+ * Load the classification icons for the badges. Icons that fail to load are left
+ * out and drawn as labelled discs instead.
+ * @param {Object} paths - classification key → image URL
+ * @returns {Promise<Object>} key → HTMLImageElement
+ */
+async function loadBoardIcons(paths) {
+    const icons = {};
+    await Promise.all(Object.entries(paths).map(([key, src]) => new Promise(resolve => {
+        const img = new Image();
+        img.onload = () => { icons[key] = img; resolve(); };
+        img.onerror = () => resolve();
+        img.src = src;
+    })));
+    return icons;
+}
+
+function createBoardCanvas(size) {
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+    return canvas;
+}
+
+/** False when drawn images tainted the canvas (e.g. icons read from file://) and it can't be exported */
+function canvasReadable(canvas) {
+    try {
+        canvas.getContext('2d').getImageData(0, 0, 1, 1);
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * PNG of one position.
+ * @param {Object} frame
+ * @param {Object} [opts] - as for drawBoardImage
+ * @returns {Promise<Blob>}
+ */
+async function renderBoardPNG(frame, opts = {}) {
+    const size = opts.size || 480;
+    const canvas = createBoardCanvas(size);
+    const ctx = canvas.getContext('2d');
+    drawBoardImage(ctx, frame, opts);
+    if (!canvasReadable(canvas)) drawBoardImage(ctx, frame, { ...opts, icons: null });
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not encode PNG'))), 'image/png');
+    });
+}
+
+/**
+ * Animated GIF of a sequence of positions.
+ * @param {Array<Object>} frames
+ * @param {Object} [opts] - as for drawBoardImage, plus:
+ * @param {number} [opts.delay=1000] - milliseconds per position
+ * @param {number} [opts.lastDelay=3000] - milliseconds on the final position before looping
+ * @param {Function} [opts.onProgress] - called with (framesDone, totalFrames)
+ * @returns {Promise<Blob>}
+ */
+async function renderBoardGIF(frames, opts = {}) {
+    const size = opts.size || 480;
+    const delay = opts.delay || 1000;
+    const lastDelay = opts.lastDelay || 3000;
+    const canvas = createBoardCanvas(size);
+    const ctx = canvas.getContext('2d');
+    const gif = new GifEncoder(size, size);
+    let icons = opts.icons;
+
+    for (let i = 0; i < frames.length; i++) {
+        drawBoardImage(ctx, frames[i], { ...opts, icons });
+        if (icons && !canvasReadable(canvas)) {
+            icons = null;
+            drawBoardImage(ctx, frames[i], { ...opts, icons });
+        }
+        const pixels = ctx.getImageData(0, 0, size, size).data;
+        gif.addFrame(pixels, (i === frames.length - 1 ? lastDelay : delay) / 10);
+        if (opts.onProgress) opts.onProgress(i + 1, frames.length);
+        await new Promise(resolve => setTimeout(resolve, 0)); // let the page repaint between frames
+    }
+    return new Blob([gif.finish()], { type: 'image/gif' });
+}
+
+// ========================
+// GIF encoding
+// ========================
+
+/** Palette entries kept for a frame's most common exact colours; the rest is a 6×6×6 colour cube */
+const GIF_EXACT_COLORS = 40;
+const GIF_CUBE_LEVELS = [0, 51, 102, 153, 204, 255];
+
+/**
+ * Minimal animated GIF89a writer (looping, one local palette per frame). Each frame
+ * after the first only stores the rectangle that changed since the previous one.
+ */
+class GifEncoder {
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.bytes = [];
+        this.previous = null; // RGBA of the last frame
+        this._writeHeader();
+    }
+
+    /**
+     * @param {Uint8ClampedArray} rgba - width × height × 4 pixels
+     * @param {number} delay - display time in hundredths of a second
+     */
+    addFrame(rgba, delay) {
+        const rect = this._changedRect(rgba);
+        this.previous = new Uint8ClampedArray(rgba);
+
+        const palette = GifEncoder.framePalette(rgba, rect, this.width);
+        const indices = GifEncoder.mapPixels(rgba, rect, this.width, palette);
+
+        // Graphic control extension: keep the previous frame underneath (disposal 1)
+        this._bytes(0x21, 0xF9, 4, 1 << 2);
+        this._word(Math.max(2, Math.round(delay)));
+        this._bytes(0, 0);
+
+        // Image descriptor with a 256-colour local table
+        this._bytes(0x2C);
+        this._word(rect.x); this._word(rect.y); this._word(rect.w); this._word(rect.h);
+        this._bytes(0x80 | 7);
+        palette.forEach(c => this._bytes((c >> 16) & 0xFF, (c >> 8) & 0xFF, c & 0xFF));
+
+        this._bytes(8);
+        const data = GifEncoder.lzw(indices, 8);
+        for (let i = 0; i < data.length; i += 255) {
+            const block = data.subarray(i, i + 255);
+            this.bytes.push(block.length);
+            for (let j = 0; j < block.length; j++) this.bytes.push(block[j]);
+        }
+        this._bytes(0);
+    }
+
+    /** @returns {Uint8Array} the complete file */
+    finish() {
+        this._bytes(0x3B);
+        return new Uint8Array(this.bytes);
+    }
+
+    _writeHeader() {
+        for (const ch of 'GIF89a') this.bytes.push(ch.charCodeAt(0));
+        this._word(this.width);
+        this._word(this.height);
+        this._bytes(0, 0, 0); // no global colour table: every frame brings its own
+        // NETSCAPE2.0 application extension: loop forever
+        this._bytes(0x21, 0xFF, 11);
+        for (const ch of 'NETSCAPE2.0') this.bytes.push(ch.charCodeAt(0));
+        this._bytes(3, 1, 0, 0, 0);
+    }
+
+    _bytes(...values) { values.forEach(v => this.bytes.push(v)); }
+    _word(value) { this.bytes.push(value & 0xFF, (value >> 8) & 0xFF); }
+
+    /** Bounding box of the pixels that differ from the previous frame (the whole frame for the first) */
+    _changedRect(rgba) {
+        const { width, height, previous } = this;
+        if (!previous) return { x: 0, y: 0, w: width, h: height };
+        let minX = width, minY = height, maxX = -1, maxY = -1;
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const p = (y * width + x) * 4;
+                if (rgba[p] === previous[p] && rgba[p + 1] === previous[p + 1] && rgba[p + 2] === previous[p + 2]) continue;
+                if (x < minX) minX = x;
+                if (x > maxX) maxX = x;
+                if (y < minY) minY = y;
+                if (y > maxY) maxY = y;
+            }
+        }
+        if (maxX < 0) return { x: 0, y: 0, w: 1, h: 1 }; // nothing changed: a one-pixel frame still carries the delay
+        return { x: minX, y: minY, w: maxX - minX + 1, h: maxY - minY + 1 };
+    }
+
+    /** 256 colours (0xRRGGBB) for a frame: its most frequent colours exactly, then the colour cube */
+    static framePalette(rgba, rect, width) {
+        const counts = new Map();
+        for (let y = rect.y; y < rect.y + rect.h; y++) {
+            for (let x = rect.x; x < rect.x + rect.w; x++) {
+                const p = (y * width + x) * 4;
+                const c = (rgba[p] << 16) | (rgba[p + 1] << 8) | rgba[p + 2];
+                counts.set(c, (counts.get(c) || 0) + 1);
+            }
+        }
+        const palette = [...counts.entries()]
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, GIF_EXACT_COLORS)
+            .map(([c]) => c);
+        while (palette.length < GIF_EXACT_COLORS) palette.push(0);
+        GIF_CUBE_LEVELS.forEach(r => GIF_CUBE_LEVELS.forEach(g => GIF_CUBE_LEVELS.forEach(b => {
+            palette.push((r << 16) | (g << 8) | b);
+        })));
+        return palette;
+    }
+
+    /** Palette index of every pixel in `rect`: exact match where there is one, otherwise the nearest colour */
+    static mapPixels(rgba, rect, width, palette) {
+        const lookup = new Map();
+        palette.forEach((c, i) => { if (!lookup.has(c)) lookup.set(c, i); });
+        const indices = new Uint8Array(rect.w * rect.h);
+        let n = 0;
+        for (let y = rect.y; y < rect.y + rect.h; y++) {
+            for (let x = rect.x; x < rect.x + rect.w; x++) {
+                const p = (y * width + x) * 4;
+                const c = (rgba[p] << 16) | (rgba[p + 1] << 8) | rgba[p + 2];
+                let index = lookup.get(c);
+                if (index === undefined) {
+                    index = GifEncoder.nearest(palette, rgba[p], rgba[p + 1], rgba[p + 2]);
+                    lookup.set(c, index);
+                }
+                indices[n++] = index;
+            }
+        }
+        return indices;
+    }
+
+    static nearest(palette, r, g, b) {
+        let best = 0, bestDist = Infinity;
+        for (let i = 0; i < palette.length; i++) {
+            const c = palette[i];
+            const dr = ((c >> 16) & 0xFF) - r, dg = ((c >> 8) & 0xFF) - g, db = (c & 0xFF) - b;
+            const dist = dr * dr * 2 + dg * dg * 4 + db * db * 3;
+            if (dist < bestDist) { bestDist = dist; best = i; }
+        }
+        return best;
+    }
+
+    /**
+     * GIF-flavoured LZW: variable code width up to 12 bits, clear code when the
+     * table fills, bits packed least significant first.
+     * @returns {Uint8Array}
+     */
+    static lzw(indices, minCodeSize) {
+        const clearCode = 1 << minCodeSize;
+        const endCode = clearCode + 1;
+        const out = [];
+        let codeSize = minCodeSize + 1;
+        let nextCode = endCode + 1;
+        let table = new Map();
+        let bits = 0, bitCount = 0;
+
+        const emit = code => {
+            bits |= code << bitCount;
+            bitCount += codeSize;
+            while (bitCount >= 8) {
+                out.push(bits & 0xFF);
+                bits >>>= 8;
+                bitCount -= 8;
+            }
+        };
+
+        emit(clearCode);
+        let prefix = indices[0];
+        for (let i = 1; i < indices.length; i++) {
+            const k = indices[i];
+            const key = (prefix << 8) | k;
+            const code = table.get(key);
+            if (code !== undefined) {
+                prefix = code;
+                continue;
+            }
+            emit(prefix);
+            if (nextCode === 4096) {
+                emit(clearCode);
+                table = new Map();
+                codeSize = minCodeSize + 1;
+                nextCode = endCode + 1;
+            } else {
+                if (nextCode >= (1 << codeSize)) codeSize++;
+                table.set(key, nextCode++);
+            }
+            prefix = k;
+        }
+        emit(prefix);
+        // The decoder adds one more table entry on reading that last code, and may widen before the end code
+        if (nextCode >= (1 << codeSize) && codeSize < 12) codeSize++;
+        emit(endCode);
+        if (bitCount > 0) out.push(bits & 0xFF);
+        return new Uint8Array(out);
+    }
+}
@@ -0,0 +1,357 @@
+/**
+ * Chess960 — chess.js (0.10.x) with Fischer Random castling.
+ *
+ * chess.js only knows castling with the king on e1/e8 and rooks in the corners, so
+ * the wrapped instance is always loaded without castling rights and castling is
+ * generated and played here: the king and rook land on g/f (O-O) or c/d (O-O-O)
+ * wherever they started. Castling moves use the king-takes-own-rook form
+ * (`from` = king, `to` = rook) that Stockfish uses with UCI_Chess960.
+ *
+ * FENs use X-FEN castling letters (KQkq meaning the outermost rook on that side),
+ * which chess.js and Stockfish both read. Exposes the subset of the chess.js API
+ * the app uses, so it can stand in for `new Chess()`.
+ */
+class Chess960 {
+    constructor(fen) {
+        this._chess = new Chess();
+        this._castling = { w: { k: null, q: null }, b: { k: null, q: null } }; // rook file per side
+        this._history = [];
+        this._headers = {};
+        this._startFen = Chess960.startPosition(518);
+        if (fen) this.load(fen);
+        else this.reset();
+    }
+
+    /**
+     * Start position number `n` (0–959) in Scharnagl's numbering, random when omitted;
+     * 518 is the standard array.
+     */
+    static startPosition(n = Math.floor(Math.random() * 960)) {
+        const rank = new Array(8).fill(null);
+        const free = () => rank.map((p, i) => p ? -1 : i).filter(i => i >= 0);
+
+        rank[(n % 4) * 2 + 1] = 'b';                       // light-squared bishop
+        n = Math.floor(n / 4);
+        rank[(n % 4) * 2] = 'b';                           // dark-squared bishop
+        n = Math.floor(n / 4);
+        rank[free()[n % 6]] = 'q';
+        n = Math.floor(n / 6);
+        const knights = [[0, 1], [0, 2], [0, 3], [0, 4], [1, 2], [1, 3], [1, 4], [2, 3], [2, 4], [3, 4]][n];
+        const open = free();
+        knights.forEach(k => { rank[open[k]] = 'n'; });
+        const rest = free();
+        rank[rest[0]] = 'r';
+        rank[rest[1]] = 'k';
+        rank[rest[2]] = 'r';
+
+        const black = rank.join('');
+        return `${black}/pppppppp/8/8/8/8/PPPPPPPP/${black.toUpperCase()} w KQkq - 0 1`;
+    }
+
+    // ── Position ──
+
+    /** `fen` with the castling field replaced, so chess.js can load it */
+    static _withCastling(fen, castling) {
+        const fields = fen.split(' ');
+        fields[2] = castling;
+        return fields.join(' ');
+    }
+
+    static _backRank(color) { return color === 'w' ? '1' : '8'; }
+
+    /** File of the king of `color` on its back rank, or null */
+    _kingFile(color) {
+        const square = this._findKing(color);
+        return square && square[1] === Chess960._backRank(color) ? square[0] : null;
+    }
+
+    _findKing(color) {
+        for (const file of 'abcdefgh') {
+            for (const rank of '12345678') {
+                const piece = this._chess.get(file + rank);
+                if (piece && piece.type === 'k' && piece.color === color) return file + rank;
+            }
+        }
+        return null;
+    }
+
+    /** Rook files on the back rank of `color`, west to east */
+    _rookFiles(color) {
+        return [...'abcdefgh'].filter(file => {
+            const piece = this._chess.get(file + Chess960._backRank(color));
+            return piece && piece.type === 'r' && piece.color === color;
+        });
+    }
+
+    /** Read castling rights from KQkq letters or Shredder-FEN files (HAha) */
+    _parseCastling(field) {
+        this._castling = { w: { k: null, q: null }, b: { k: null, q: null } };
+        if (!field || field === '-') return;
+        for (const ch of field) {
+            const color = ch === ch.toUpperCase() ? 'w' : 'b';
+            const king = this._kingFile(color);
+            if (!king) continue;
+            const rooks = this._rookFiles(color);
+            const c = ch.toLowerCase();
+            if (c === 'k') {
+                const outer = rooks.filter(f => f > king).pop();
+                if (outer) this._castling[color].k = outer;
+            } else if (c === 'q') {
+                const outer = rooks.find(f => f < king);
+                if (outer) this._castling[color].q = outer;
+            } else if (rooks.includes(c)) {
+                this._castling[color][c > king ? 'k' : 'q'] = c;
+            }
+        }
+    }
+
+    _castlingField() {
+        const field = (this._castling.w.k ? 'K' : '') + (this._castling.w.q ? 'Q' : '')
+            + (this._castling.b.k ? 'k' : '') + (this._castling.b.q ? 'q' : '');
+        return field || '-';
+    }
+
+    validate_fen(fen) {
+        return this._chess.validate_fen(Chess960._withCastling(fen, '-'));
+    }
+
+    /** Load a position; castling may be given as KQkq or as rook files */
+    load(fen) {
+        const fields = fen.trim().split(/\s+/);
+        if (!this._chess.load(Chess960._withCastling(fields.join(' '), '-'))) return false;
+        this._parseCastling(fields[2]);
+        this._startFen = this.fen();
+        this._history = [];
+        return true;
+    }
+
+    /** Back to the position the game was loaded from */
+    reset() {
+        this.load(this._startFen);
+    }
+
+    fen() {
+        return Chess960._withCastling(this._chess.fen(), this._castlingField());
+    }
+
+    turn() { return this._chess.turn(); }
+    get(square) { return this._chess.get(square); }
+    board() { return this._chess.board(); }
+
+    // ── Castling ──
+
+    /** Castling moves for the side to move as { from: king, to: rook, kingTo, rookTo, flags } */
+    _castlingMoves() {
+        const us = this.turn();
+        const rank = Chess960._backRank(us);
+        const king = this._kingFile(us);
+        if (!king || this._chess.in_check()) return [];
+
+        const moves = [];
+        for (const side of ['k', 'q']) {
+            const rook = this._castling[us][side];
+            if (!rook) continue;
+            const kingTo = side === 'k' ? 'g' : 'c';
+            const rookTo = side === 'k' ? 'f' : 'd';
+
+            // Every square either piece crosses or lands on must be empty (but for the two of them)
+            const span = (a, b) => {
+                const lo = Math.min(a.charCodeAt(0), b.charCodeAt(0));
+                const hi = Math.max(a.charCodeAt(0), b.charCodeAt(0));
+                const files = [];
+                for (let c = lo; c <= hi; c++) files.push(String.fromCharCode(c));
+                return files;
+            };
+            const crossed = new Set([...span(king, kingTo), ...span(rook, rookTo)]);
+            const blocked = [...crossed].some(f => f !== king && f !== rook && this._chess.get(f + rank));
+            if (blocked) continue;
+
+            // ...and the king may not pass through or land on an attacked square
+            const safe = span(king, kingTo).every(f => !this._attackedWithKingOn(f + rank, king + rank, rook + rank));
+            if (!safe) continue;
+
+            moves.push({
+                color: us,
+                from: king + rank,
+                to: rook + rank,
+                kingTo: kingTo + rank,
+                rookTo: rookTo + rank,
+                flags: side,
+                piece: 'k',
+                san: side === 'k' ? 'O-O' : 'O-O-O'
+            });
+        }
+        return moves;
+    }
+
+    /** Would the king standing on `square` (king and castling rook lifted) be in check? */
+    _attackedWithKingOn(square, kingSquare, rookSquare) {
+        const probe = new Chess(this._chess.fen());
+        const king = probe.remove(kingSquare);
+        probe.remove(rookSquare);
+        probe.put(king, square);
+        return probe.in_check();
+    }
+
+    /** Play a castling move found by _castlingMoves and return it in chess.js verbose form */
+    _castle(castle) {
+        const us = castle.color;
+        const fields = this._chess.fen().split(' ');
+        const board = new Chess(this._chess.fen());
+        board.remove(castle.from);
+        board.remove(castle.to);
+        board.put({ type: 'k', color: us }, castle.kingTo);
+        board.put({ type: 'r', color: us }, castle.rookTo);
+
+        const placement = board.fen().split(' ')[0];
+        const halfmove = parseInt(fields[4]) + 1;
+        const fullmove = parseInt(fields[5]) + (us === 'b' ? 1 : 0);
+        this._chess.load(`${placement} ${us === 'w' ? 'b' : 'w'} - - ${halfmove} ${fullmove}`);
+        this._castling[us] = { k: null, q: null };
+
+        let san = castle.san;
+        if (this._chess.in_checkmate()) san += '#';
+        else if (this._chess.in_check()) san += '+';
+        return { color: us, from: castle.from, to: castle.to, kingTo: castle.kingTo, rookTo: castle.rookTo, flags: castle.flags, piece: 'k', san: san };
+    }
+
+    /** Drop castling rights the move gave up: king moves, rook moves, rook captures */
+    _updateCastling(move) {
+        const them = move.color === 'w' ? 'b' : 'w';
+        if (move.piece === 'k') this._castling[move.color] = { k: null, q: null };
+        for (const side of ['k', 'q']) {
+            const own = this._castling[move.color][side];
+            if (own && move.from === own + Chess960._backRank(move.color)) this._castling[move.color][side] = null;
+            const theirs = this._castling[them][side];
+            if (theirs && move.to === theirs + Chess960._backRank(them)) this._castling[them][side] = null;
+        }
+    }
+
+    // ── Moves ──
+
+    /** Legal moves (SAN strings, or verbose objects with `{ verbose: true }`), optionally from one square */
+    moves(opts = {}) {
+        // chess.js looks for a `square` key, not its value: passing `square: undefined` lists nothing
+        const verbose = this._chess.moves(opts.square ? { square: opts.square, verbose: true } : { verbose: true });
+        const castles = this._castlingMoves()
+            .filter(c => !opts.square || c.from === opts.square)
+            .map(c => ({ color: c.color, from: c.from, to: c.to, kingTo: c.kingTo, rookTo: c.rookTo, flags: c.flags, piece: 'k', san: c.san }));
+        const all = verbose.concat(castles);
+        return opts.verbose ? all : all.map(m => m.san);
+    }
+
+    /**
+     * Play a move given as SAN ("O-O" for castling) or as { from, to, promotion }.
+     * Castling is the king moving onto its own rook, or to its g/c destination when
+     * that isn't an ordinary king move.
+     * @returns {Object|null} the move in chess.js verbose form, or null if illegal
+     */
+    move(move, opts = {}) {
+        const fenBefore = this.fen();
+        const castles = this._castlingMoves();
+        let castle = null;
+
+        if (typeof move === 'string') {
+            const token = move.replace(/[+#?!]+$/, '').replace(/0/g, 'O');
+            castle = castles.find(c => c.san === token) || null;
+            if (!castle && /^O-O/.test(token)) return null;
+        } else if (move && move.from) {
+            castle = castles.find(c => c.from === move.from && c.to === move.to) || null;
+            if (!castle && !this._chess.moves({ square: move.from, verbose: true }).some(m => m.to === move.to)) {
+                castle = castles.find(c => c.from === move.from && c.kingTo === move.to) || null;
+            }
+        }
+
+        let played;
+        if (castle) {
+            played = this._castle(castle);
+        } else {
+            played = this._chess.move(move, opts);
+            if (!played) return null;
+            this._updateCastling(played);
+        }
+
+        this._history.push({ move: played, fen: fenBefore });
+        return played;
+    }
+
+    undo() {
+        const last = this._history.pop();
+        if (!last) return null;
+        const { _history: history, _startFen: startFen } = this;
+        this.load(last.fen);
+        this._history = history;
+        this._startFen = startFen;
+        return last.move;
+    }
+
+    history(opts = {}) {
+        return this._history.map(h => opts.verbose ? h.move : h.move.san);
+    }
+
+    // ── Game state ──
+
+    in_check() { return this._chess.in_check(); }
+    in_checkmate() { return this._chess.in_checkmate(); }
+    in_stalemate() { return this._chess.in_stalemate() && this._castlingMoves().length === 0; }
+    insufficient_material() { return this._chess.insufficient_material(); }
+
+    /** Same position (castling rights included) for the third time with the same side to move */
+    in_threefold_repetition() {
+        const key = (fen) => fen.split(' ').slice(0, 4).join(' ');
+        const current = key(this.fen());
+        return this._history.filter(h => key(h.fen) === current).length >= 2;
+    }
+
+    in_draw() {
+        const halfmove = parseInt(this._chess.fen().split(' ')[4]);
+        return halfmove >= 100 || this.in_stalemate() || this.insufficient_material() || this.in_threefold_repetition();
+    }
+
+    game_over() { return this.in_checkmate() || this.in_draw(); }
+
+    // ── PGN ──
+
+    /** Set tag pairs as header(key, value, ...) and return them all */
+    header(...args) {
+        for (let i = 0; i + 1 < args.length; i += 2) this._headers[args[i]] = args[i + 1];
+        return this._headers;
+    }
+
+    pgn() {
+        const start = this._history.length > 0 ? this._history[0].fen : this.fen();
+        const headers = { ...this._headers, Variant: 'Chess960', SetUp: '1', FEN: start };
+        const tags = Object.keys(headers).map(k => formatTagPair(k, headers[k]));
+
+        const tokens = [];
+        this._history.forEach((h, i) => {
+            const number = moveNumberToken(h.fen, i === 0);
+            if (number) tokens.push(number);
+            tokens.push(h.move.san);
+        });
+        if (headers.Result) tokens.push(headers.Result);
+        return tags.join('\n') + '\n\n' + tokens.join(' ');
+    }
+
+    /** Load a Chess960 PGN (mainline only); the [FEN] tag gives the start position */
+    load_pgn(pgn, opts = {}) {
+        const headers = parsePGNHeaders(pgn);
+        if (!this.load(headers.FEN || Chess960.startPosition(518))) return false;
+        this._headers = headers;
+        for (const san of parseMovetext(pgn).sans) {
+            if (!this.move(san, { sloppy: opts.sloppy })) return false;
+        }
+        return true;
+    }
+}
+
+/** True when PGN tags describe a Chess960 game (Lichess "Chess960", Chess.com "Chess960" / "Fischerandom") */
+function isChess960(headers) {
+    return /960|fischer\s*random/i.test((headers && headers.Variant) || '');
+}
+
+/** chess.js game, or a Chess960 one, at `fen` */
+function createGame(fen, chess960) {
+    if (chess960) return new Chess960(fen);
+    return fen ? new Chess(fen) : new Chess();
+}
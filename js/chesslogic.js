@@ -1,449 +1,1276 @@
-/**
- * ChessLogic — wraps chess.js for PGN parsing, move history & FEN navigation.
- * Also stores source/target squares for each move (for board overlays).
- */
-class ChessLogic {
-    constructor() {
-        this.game = new Chess();
-        this.fens = [];       // FEN at every half-move (index 0 = start position)
-        this.sans = [];       // SAN strings for each half-move
-        this.squares = [];    // [{from, to}, ...] for each half-move
-        this.idx = 0;         // current position index into fens[]
-        this.classifications = []; // will be filled by analyzer
-        this._snapshot();
-    }
-
-    reset() {
-        this.game.reset();
-        this.fens = [];
-        this.sans = [];
-        this.squares = [];
-        this.idx = 0;
-        this.classifications = [];
-        this._snapshot();
-    }
-
-    _snapshot() {
-        this.fens.push(this.game.fen());
-    }
-
-    loadPGN(pgn) {
-        this.reset();
-        const ok = this.game.load_pgn(pgn, { sloppy: true });
-        if (!ok) return false;
-
-        const moves = this.game.history({ verbose: true });
-        this.reset();
-
-        for (const m of moves) {
-            this.game.move(m.san);
-            this.sans.push(m.san);
-            this.squares.push({ from: m.from, to: m.to, color: m.color, piece: m.piece });
-            this._snapshot();
-        }
-
-        this.idx = this.fens.length - 1;
-        return true;
-    }
-
-    fen() { return this.fens[this.idx]; }
-    moves() { return this.sans; }
-
-    /** Get the from/to squares of the move that PRODUCED the current position */
-    currentMoveSquares() {
-        if (this.idx === 0) return null;
-        return this.squares[this.idx - 1]; // move i-1 produced fen[i]
-    }
-
-    /** Get classification for the move that produced the current position */
-    currentClassification() {
-        if (this.idx === 0 || this.classifications.length === 0) return null;
-        return this.classifications[this.idx - 1] || null;
-    }
-
-    /** Get classification for move at index i (0-based into sans[]) */
-    getMoveClassification(moveIdx) {
-        if (this.classifications.length === 0) return null;
-        return this.classifications[moveIdx] || null;
-    }
-
-    goStart() { this.idx = 0; return this.fen(); }
-    goEnd() { this.idx = this.fens.length - 1; return this.fen(); }
-    goNext() { if (this.idx < this.fens.length - 1) this.idx++; return this.fen(); }
-    goPrev() { if (this.idx > 0) this.idx--; return this.fen(); }
-    goTo(i) { if (i >= 0 && i < this.fens.length) this.idx = i; return this.fen(); }
-
-    turn() {
-        return this.idx % 2 === 0 ? 'w' : 'b';
-    }
-
-    /**
-     * Tries to identify the opening played in the current game.
-     */
-    getGameOpening() {
-        if (this.sans.length === 0) return null;
-        return getOpening(this.sans);
-    }
-}
-
-// ========================
-// Move Classification
-// ========================
-const CLASSIFICATION = {
-    BRILLIANT: { key: 'brilliant', label: '!!', color: '#1baaa7', icon: '💎' },
-    GREAT: { key: 'great', label: '!', color: '#5c8bb0', icon: '⭐' },
-    BEST: { key: 'best', label: '✓', color: '#96bc4b', icon: '✅' },
-    GOOD: { key: 'good', label: '', color: '#96bc4b', icon: '' },
-    BOOK: { key: 'book', label: '📖', color: '#a88764', icon: '📖' },
-    INACCURACY: { key: 'inaccuracy', label: '?!', color: '#e6a835', icon: '⚠️' },
-    MISTAKE: { key: 'mistake', label: '?', color: '#e68a35', icon: '❌' },
-    BLUNDER: { key: 'blunder', label: '??', color: '#ca3431', icon: '🔴' },
-};
-
-function getMaterialBalance(fen) {
-    const pieces = fen.split(' ')[0];
-    const vals = { 'P': 1, 'N': 3, 'B': 3, 'R': 5, 'Q': 9, 'p': -1, 'n': -3, 'b': -3, 'r': -5, 'q': -9 };
-    let bal = 0;
-    for (let c of pieces) {
-        if (vals[c]) bal += vals[c];
-    }
-    return bal;
-}
-
-function getGamePhase(fen, moveIndex = 0) {
-    const pieces = fen.split(' ')[0];
-    let majorMinorCount = 0;
-    for (let c of pieces) {
-        if ('NBRQnbrq'.includes(c)) majorMinorCount++;
-    }
-
-    // Opening: First 10-12 full moves (20-25 ply) OR very few pieces traded
-    if (moveIndex < 24 && majorMinorCount >= 10) return 'opening';
-
-    // Endgame: Few major/minor pieces left
-    if (majorMinorCount <= 6) return 'endgame';
-
-    // Otherwise, Middlegame
-    return 'middlegame';
-}
-
-const COMMON_OPENINGS = [
-    { prefix: "e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 a6", name: "the Sicilian Najdorf", desc: "one of the sharpest, most respected, and deeply analyzed lines in chess." },
-    { prefix: "e4 c5 Nf3 Nc6 d4 cxd4 Nxd4", name: "the Open Sicilian", desc: "a highly dynamic battleground where White plays for an attack while Black relies on a strong center." },
-    { prefix: "e4 c5 c3", name: "the Alapin Sicilian", desc: "an anti-Sicilian setup aiming to build a strong classical pawn center." },
-    { prefix: "e4 c5", name: "the Sicilian Defense", desc: "a sharp, asymmetrical opening that immediately fights for the center." },
-    { prefix: "e4 e5 Nf3 Nc6 Bb5 a6", name: "the Ruy Lopez, Morphy Defense", desc: "challenging the Spanish bishop early to solidify Black's position." },
-    { prefix: "e4 e5 Nf3 Nc6 Bb5", name: "the Ruy Lopez", desc: "the Spanish Game, a highly classical opening focusing on rapid development." },
-    { prefix: "e4 e5 Nf3 Nc6 Bc4 Bc5 c3 Nf6 d4", name: "the Giuoco Piano, Main Line", desc: "a classical Italian setup fighting for full central control." },
-    { prefix: "e4 e5 Nf3 Nc6 Bc4 Bc5", name: "the Giuoco Piano", desc: "the 'Quiet Game', maneuvering pieces to ideal squares before striking." },
-    { prefix: "e4 e5 Nf3 Nc6 Bc4 Nf6", name: "the Two Knights Defense", desc: "a highly aggressive counterattack against the Italian Game." },
-    { prefix: "e4 e5 Nf3 Nc6 Bc4", name: "the Italian Game", desc: "aiming for rapid development and attacking the vulnerable f7 square." },
-    { prefix: "e4 e5 Nf3 Nc6 d4", name: "the Scotch Game", desc: "an immediate central break aiming for open, tactical play." },
-    { prefix: "e4 e6 d4 d5 Nd2", name: "the French Defense, Tarrasch Variation", desc: "a solid choice for White avoiding the pin on b4." },
-    { prefix: "e4 e6 d4 d5", name: "the French Defense", desc: "a resilient counter-attacking opening relying on central pawn tension." },
-    { prefix: "e4 c6 d4 d5", name: "the Caro-Kann Defense", desc: "an incredibly solid setup supporting a central break without blocking the light-squared bishop." },
-    { prefix: "d4 d5 c4 e6", name: "the Queen's Gambit Declined", desc: "a sturdy classical approach that declines the wing pawn sacrifice." },
-    { prefix: "d4 d5 c4 c6", name: "the Slav Defense", desc: "a highly respected defense to the Queen's Gambit securing the d5 outpost." },
-    { prefix: "d4 d5 c4 dxc4", name: "the Queen's Gambit Accepted", desc: "accepting the gambit pawn to challenge White's center later." },
-    { prefix: "d4 d5 c4", name: "the Queen's Gambit", desc: "the most classical 1. d4 opening offering a flank pawn for central dominance." },
-    { prefix: "d4 Nf6 c4 e6 Nc3 Bb4", name: "the Nimzo-Indian Defense", desc: "a premier hypermodern opening allowing a doubled pawn for rapid development." },
-    { prefix: "d4 Nf6 c4 g6 Nc3 Bg7 e4", name: "the King's Indian Defense", desc: "a hyper-dynamic, attacking opening leading to complex tactical imbalances." },
-    { prefix: "d4 Nf6 c4 g6 Nc3 d5", name: "the Grünfeld Defense", desc: "an aggressive hypermodern choice striking back at White's center immediately with pawns." },
-    { prefix: "d4 f5", name: "the Dutch Defense", desc: "an uncompromising, asymmetrical fight for the e4 square." },
-    { prefix: "e4 d6 d4 Nf6 Nc3 g6", name: "the Pirc Defense", desc: "a hypermodern defense fighting for the center from the flanks." },
-    { prefix: "e4 g6", name: "the Modern Defense", desc: "a flexible and provocative hypermodern opening." },
-    { prefix: "c4 e5 Nc3", name: "the English Opening, Reversed Sicilian", desc: "a rich strategical system playing the Sicilian up a tempo." },
-    { prefix: "c4", name: "the English Opening", desc: "a flexible flank opening that fights for the center from the side." },
-    { prefix: "Nf3 d5 g3", name: "the Réti Opening", desc: "a hypermodern system exerting pressure on the center from afar." },
-    { prefix: "Nf3", name: "the Zukertort Opening", desc: "a highly flexible first move frequently transposing into other classical setups." },
-    { prefix: "b3", name: "Larsen's Opening", desc: "a hypermodern flank opening preparing an immediate fianchetto." },
-    { prefix: "f4", name: "Bird's Opening", desc: "an aggressive flank attack seizing control of the e5 square early." },
-    { prefix: "e4 d5 exd5 Qxd5", name: "the Scandinavian Defense", desc: "an early central challenge that forces immediate decisions from White." },
-    { prefix: "e4 e5 f4", name: "the King's Gambit", desc: "the ultimate romantic chess opening, sacrificing a pawn for an open f-file and rapid attack." },
-    { prefix: "e4 e5 Nf3 d6", name: "the Philidor Defense", desc: "a solid, if somewhat passive, opening approach for Black." },
-    { prefix: "e4 e5", name: "the Double King's Pawn Opening", desc: "a classical and principled way to start the game." },
-    { prefix: "d4 d5", name: "the Closed Game", desc: "a strategic, positional battle from move one." }
-];
-
-function getOpening(sansPrefix) {
-    const moveStr = sansPrefix.join(" ");
-    // Find longest matching prefix
-    let bestMatch = null;
-    let longest = 0;
-    for (const op of COMMON_OPENINGS) {
-        if (moveStr.startsWith(op.prefix) && op.prefix.length > longest) {
-            bestMatch = op;
-            longest = op.prefix.length;
-        }
-    }
-    return bestMatch;
-}
-
-/**
- * Analyze all positions in a game and classify each move.
- * @param {Engine} engine
- * @param {ChessLogic} logic
- * @param {Function} onProgress - called with (moveIndex, total)
- * @returns {Promise<Array>} classifications array
- */
-async function analyzeFullGame(engine, logic, targetDepth, onProgress) {
-    const fens = logic.fens;
-    const numMoves = logic.sans.length;
-    const evals = []; // eval for each FEN position (from White's perspective)
-    const bestMoves = []; // engine best move for each position
-
-    // Evaluate every position
-    for (let i = 0; i < fens.length; i++) {
-        // Check for terminal positions (checkmate/stalemate) — engine can't eval these
-        const tempGame = new Chess(fens[i]);
-        const isWhiteTurn = tempGame.turn() === 'w';
-
-        if (tempGame.game_over()) {
-            let score = 0;
-            let isMate = false;
-            if (tempGame.in_checkmate()) {
-                // Side to move is mated — they lost
-                score = isWhiteTurn ? -100 : 100; // from White's perspective
-                isMate = true;
-            }
-            evals.push({ score, isMate, raw: 0 });
-            bestMoves.push(null);
-            if (onProgress) onProgress(i, fens.length);
-            continue;
-        }
-
-        const result = await engine.evalAsync(fens[i], targetDepth);
-
-        // Score from Stockfish is from side-to-move perspective
-        // Normalize to White's perspective
-        const whiteScore = isWhiteTurn ? result.score : -result.score;
-        const whiteIsMate = result.isMate;
-
-        evals.push({
-            score: whiteScore,
-            isMate: whiteIsMate,
-            raw: result.score,
-            pv: result.pv || ''
-        });
-        bestMoves.push(result.bestMove);
-
-        if (onProgress) onProgress(i, fens.length);
-    }
-
-    // Classify each move based on eval swing
-    const classifications = [];
-    const BOOK_MOVES = 6; // first N half-moves considered book
-
-    for (let m = 0; m < numMoves; m++) {
-        const evalBefore = evals[m];
-        const evalAfter = evals[m + 1];
-        const engineBest = bestMoves[m]; // what engine recommended at this position
-
-        // The actual SAN move played
-        const playedMove = logic.squares[m];
-
-        // Handle mate scores
-        let scoreBefore = evalBefore.isMate ? (evalBefore.score > 0 ? 100 : -100) : evalBefore.score;
-        let scoreAfter = evalAfter.isMate ? (evalAfter.score > 0 ? 100 : -100) : evalAfter.score;
-
-        // Who moved? Rely on the parsed move color, not index parity
-        const isWhiteMove = playedMove.color === 'w';
-
-        // Centipawn loss from the mover's perspective
-        // If White moved: loss = scoreBefore - scoreAfter (white advantage should stay or increase)
-        // If Black moved: loss = scoreAfter - scoreBefore (white advantage should decrease or stay)
-        let cpLoss;
-        if (isWhiteMove) {
-            cpLoss = scoreBefore - scoreAfter;
-        } else {
-            cpLoss = scoreAfter - scoreBefore;
-        }
-
-        let cls;
-
-        // Book moves (first few moves of the game)
-        if (m < BOOK_MOVES && Math.abs(cpLoss) < 0.5) {
-            cls = CLASSIFICATION.BOOK;
-        }
-        // If the move played IS the engine's best move, it can never be a mistake/blunder.
-        // (Sometimes CP drops on the next ply due to horizon effect, hiding the truth).
-        else if (engineBest && (playedMove.from + playedMove.to) === engineBest) {
-            // It could be Brilliant/Great if it also had a massive negative CP loss, 
-            // but at minimum, it is the Best move.
-            if (cpLoss <= -2.0) cls = CLASSIFICATION.BRILLIANT;
-            else if (cpLoss <= -1.0) cls = CLASSIFICATION.GREAT;
-            else cls = CLASSIFICATION.BEST;
-        }
-        // Classify by centipawn loss (chess.com-aligned thresholds)
-        else if (cpLoss <= -2.0) {
-            cls = CLASSIFICATION.BRILLIANT;
-        } else if (cpLoss <= -1.0) {
-            cls = CLASSIFICATION.GREAT;
-        } else if (cpLoss <= 0.4) {
-            cls = CLASSIFICATION.BEST;
-        } else if (cpLoss <= 1.2) {
-            cls = CLASSIFICATION.GOOD;
-        } else if (cpLoss <= 2.5) {
-            cls = CLASSIFICATION.INACCURACY;
-        } else if (cpLoss <= 5.0) {
-            cls = CLASSIFICATION.MISTAKE;
-        } else {
-            cls = CLASSIFICATION.BLUNDER;
-        }
-
-        const phase = getGamePhase(fens[m], m);
-        const matBefore = getMaterialBalance(fens[m]);
-        const matAfter = getMaterialBalance(fens[m + 1]);
-        const matDiff = isWhiteMove ? (matAfter - matBefore) : -(matAfter - matBefore); // positive if mover won material
-
-        let engineBestSan = engineBest;
-        if (engineBest) {
-            try {
-                // Use a temporary chess instance to convert LAN to SAN
-                const tempGame = new Chess(fens[m]);
-                const moveObj = tempGame.move({
-                    from: engineBest.substring(0, 2),
-                    to: engineBest.substring(2, 4),
-                    promotion: engineBest.length > 4 ? engineBest.substring(4) : undefined
-                });
-                if (moveObj && moveObj.san) {
-                    engineBestSan = moveObj.san;
-                }
-            } catch (e) {
-                // Keep LAN fallback if conversion fails
-            }
-        }
-
-        // --- Reason Tags ---
-        const san = logic.sans[m];
-
-        const tags = [];
-        let hungPiece = null;
-
-        // Contextual Tags (applied to all moves)
-        if (san.includes('+')) tags.push('is_check');
-        if (san.includes('x')) tags.push('is_capture');
-        if (san.includes('O-O')) tags.push('is_castling');
-
-        // Did they miss a forced mate?
-        if (isWhiteMove ? (evalBefore.isMate && evalBefore.score > 0 && !evalAfter.isMate) : (evalBefore.isMate && evalBefore.score < 0 && !evalAfter.isMate)) {
-            tags.push('missed_mate');
-        }
-
-        if (cpLoss > 1.2) {
-            // It's an inaccuracy or worse
-            if (matDiff <= -3) {
-                tags.push('hanging_piece');
-            } else if (matDiff < 0) {
-                tags.push('lost_material');
-            }
-            if (evalBefore.pv && (evalBefore.pv.includes('x') || evalBefore.pv.includes('+'))) {
-                tags.push('missed_tactic');
-            }
-            if (san.includes('K')) {
-                tags.push('weakened_king');
-            }
-
-            // Ignored Threat: Did the opponent immediately capture something valuable on the next turn because we didn't address it?
-            if (evalAfter.pv && evalAfter.pv.includes('x')) {
-                tags.push('ignored_threat');
-            }
-
-            // Did we just hang a piece? Let's check the opponent's best response
-            const nextBest = evalAfter.pv ? evalAfter.pv.split(' ')[0] : null; // e.g., "e4d5"
-            if (nextBest && nextBest.length >= 4) {
-                const toSquare = nextBest.substring(2, 4);
-                try {
-                    const tempGame2 = new Chess(fens[m + 1]);
-                    const pieceAtTarget = tempGame2.get(toSquare);
-                    // If the opponent's best move captures our piece
-                    if (pieceAtTarget && pieceAtTarget.color === playedMove.color) {
-                        hungPiece = pieceAtTarget.type;
-                    }
-                } catch (e) { }
-            }
-
-            // Missed Fork/Tactic: If engine wanted a Knight move that resulted in a huge swing, it was likely a fork.
-            if (engineBestSan && engineBestSan.startsWith('N') && (scoreBefore - scoreAfter > 2.0)) {
-                tags.push('missed_fork');
-            }
-
-            // Positional: Moving the king manually instead of castling
-            if (san.startsWith('K') && !san.includes('O-O') && phase === 'opening') {
-                tags.push('missed_castling');
-            }
-
-            // Positional: Moving the Queen out too early
-            if (san.startsWith('Q') && phase === 'opening' && m < 10) {
-                tags.push('early_queen');
-            }
-
-            // Positional: Knights on the rim are dim
-            if (san.startsWith('N') && (san.includes('a') || san.includes('h'))) {
-                tags.push('knight_on_rim');
-            }
-
-            // Positional: Edge pawn pushes in the opening
-            if (san.match(/^[ah][3456]/) && phase === 'opening') {
-                tags.push('edge_pawn_push');
-            }
-
-            // Positional: Moving the same piece twice in the opening instead of developing
-            if (m >= 2 && phase === 'opening') {
-                const lastMyMove = logic.squares[m - 2];
-                if (lastMyMove && playedMove.piece === lastMyMove.piece && playedMove.from === lastMyMove.to) {
-                    tags.push('redundant_move');
-                }
-            }
-
-            // Trading evaluation
-            if (Math.abs(matDiff) === 0 && san.includes('x')) {
-                // If they are losing heavily (e.g. down -3 eval) and they traded, it's a "bad trade"
-                if ((isWhiteMove && scoreBefore < -300) || (!isWhiteMove && scoreBefore > 300)) {
-                    tags.push('bad_trade');
-                } else {
-                    tags.push('allowed_trade');
-                }
-            }
-        } else if (playedMove.piece === 'p') {
-            // Good/Best move: Is it a pawn kicking a piece?
-            const nextBest = evalAfter.pv ? evalAfter.pv.split(' ')[0] : null;
-            if (nextBest && nextBest.length >= 4) {
-                const fromSquare = nextBest.substring(0, 2);
-                try {
-                    const tempGame2 = new Chess(fens[m + 1]);
-                    const pieceMoving = tempGame2.get(fromSquare);
-                    if (pieceMoving && ['n', 'b', 'r', 'q'].includes(pieceMoving.type) && pieceMoving.color !== playedMove.color) {
-                        tags.push('kicks_piece');
-                    }
-                } catch (e) { }
-            }
-        }
-
-        let openingInfo = null;
-        if (cls.key === 'book') {
-            openingInfo = getOpening(logic.sans.slice(0, m + 1));
-        }
-
-        classifications.push({
-            ...cls,
-            cpLoss: cpLoss,
-            evalBefore: scoreBefore,
-            evalAfter: scoreAfter,
-            engineBest: engineBest,           // Keep LAN for the UI arrows (e2e4)
-            engineBestSan: engineBestSan,     // New SAN for Cheshire (e4)
-            enginePv: evalBefore.pv,
-            from: playedMove.from,
-            to: playedMove.to,
-            piece: playedMove.piece,
-            tags: tags,
-            phase: phase,
-            matBefore: matBefore,
-            matAfter: matAfter,
-            opening: openingInfo,
-            hungPiece: hungPiece
-        });
-    }
-
-    return classifications;
-}
+/**
+ * ChessLogic — wraps chess.js for PGN parsing, move history & FEN navigation.
+ * Also stores source/target squares for each move (for board overlays).
+ *
+ * Moves form a tree: every node holds the position after its move, and its first
+ * child continues the line. The loaded game is the mainline (`node.mainline`);
+ * moves tried on the board become side variations. `fens` / `sans` / `squares`
+ * (and `classifications`) always describe the mainline only.
+ *
+ * Chess960 games (a Variant tag saying so) are played through Chess960 (chess960.js),
+ * so their castling moves are stored king-to-rook, as the engine reports them.
+ */
+class ChessLogic {
+    constructor() {
+        this.chess960 = false; // Chess960 game: moves go through the Chess960 wrapper
+        this.game = new Chess();
+        this.fens = [];       // FEN at every half-move (index 0 = start position)
+        this.sans = [];       // SAN strings for each half-move
+        this.squares = [];    // [{from, to}, ...] for each half-move
+        this.mainline = [];   // tree node at every half-move (index 0 = root)
+        this.root = null;
+        this.node = null;     // current position in the tree
+        this.classifications = []; // will be filled by analyzer
+        this.headers = {};    // PGN tag pairs of the loaded game
+        this.clocks = [];     // mover's clock (seconds) after each half-move, null if unknown
+        this.timeSpent = [];  // seconds each half-move took, null if unknown
+        this.timeControl = null; // { base, increment } from the TimeControl tag
+        this.reset();
+    }
+
+    /** Empty game from the standard start, or from `startFen` (SetUp / FEN games) */
+    reset(startFen) {
+        if (startFen) this.game.load(startFen);
+        else this.game.reset();
+        this.headers = {};
+        this.clocks = [];
+        this.timeSpent = [];
+        this.timeControl = null;
+        this.fens = [];
+        this.sans = [];
+        this.squares = [];
+        this.mainline = [];
+        this.root = this._createNode(null, this.game.fen(), null, null, true);
+        this.node = this.root;
+        this.classifications = [];
+        this._snapshot(this.root);
+    }
+
+    _createNode(parent, fen, san, move, mainline) {
+        const node = {
+            parent: parent,
+            children: [],
+            fen: fen,
+            san: san,
+            move: move,       // { from, to, color, piece, captured } of the move that led here
+            ply: parent ? parent.ply + 1 : 0,
+            mainline: mainline
+        };
+        if (parent) parent.children.push(node);
+        return node;
+    }
+
+    _snapshot(node) {
+        this.mainline.push(node);
+        this.fens.push(node.fen);
+    }
+
+    /** Switch between standard chess and Chess960 rules for the next load */
+    _setVariant(chess960) {
+        this.chess960 = chess960;
+        this.game = createGame(null, chess960);
+    }
+
+    loadPGN(pgn) {
+        this._setVariant(isChess960(parsePGNHeaders(pgn)));
+        this.reset();
+        const ok = this.game.load_pgn(pgn, { sloppy: true });
+        if (!ok) return false;
+
+        const moves = this.game.history({ verbose: true });
+        const headers = { ...this.game.header() };
+        // Rewind to the game's own starting position (a [FEN] tag may set one)
+        while (this.game.undo()) { }
+        this.reset(this.game.fen());
+        this.headers = headers;
+
+        let node = this.root;
+        for (const m of moves) {
+            this.game.move(m.san);
+            const square = ChessLogic._moveSquares(m);
+            this.sans.push(m.san);
+            this.squares.push(square);
+            node = this._createNode(node, this.game.fen(), m.san, square, true);
+            this._snapshot(node);
+        }
+
+        this._readClocks(pgn);
+        this.node = node;
+        return true;
+    }
+
+    /**
+     * Clock times from the `[%clk]` comments Lichess and Chess.com write after each move.
+     * Time spent is the drop in the mover's clock plus the increment, so it needs a
+     * TimeControl tag; correspondence games only get their clock readings.
+     */
+    _readClocks(pgn) {
+        const { comments } = parseMovetext(pgn);
+        const control = parseTimeControl(this.headers.TimeControl);
+        this.timeControl = control;
+        this.clocks = this.sans.map((_, i) => comments[i] ? parseClock(comments[i]) : null);
+        this.timeSpent = this.clocks.map((clock, i) => {
+            if (clock === null || !control) return null;
+            const before = i >= 2 ? this.clocks[i - 2] : control.base;
+            if (before === null) return null;
+            return Math.max(0, Math.round((before - clock + control.increment) * 10) / 10);
+        });
+    }
+
+    /** True when the loaded game carries clock times */
+    hasClocks() {
+        return this.clocks.some(c => c !== null);
+    }
+
+    /** Start from a bare position: no moves, ready for exploring on the board */
+    loadFEN(fen) {
+        const fields = fen.trim().split(/\s+/);
+        if (fields.length === 4) fields.push('0', '1'); // move counters are often left off
+        fen = fields.join(' ');
+
+        this._setVariant(false);
+        const check = this.game.validate_fen(fen);
+        if (!check.valid) return false;
+        const placement = fields[0];
+        if ((placement.match(/K/g) || []).length !== 1 || (placement.match(/k/g) || []).length !== 1) return false;
+        this.reset(fen);
+        this.headers = { SetUp: '1', FEN: this.fens[0] };
+        return true;
+    }
+
+    /** Board squares of a played move; a Chess960 castle also records where the king landed */
+    static _moveSquares(m) {
+        const square = { from: m.from, to: m.to, color: m.color, piece: m.piece, captured: m.captured };
+        if (m.kingTo) square.kingTo = m.kingTo;
+        return square;
+    }
+
+    /** True when the game doesn't start from the standard initial position */
+    hasCustomStart() {
+        return this.fens[0] !== new Chess().fen();
+    }
+
+    /** Index of the current position along its line (0 = start); setting it moves along the mainline */
+    get idx() { return this.node.ply; }
+    set idx(i) { this.goTo(i); }
+
+    fen() { return this.node.fen; }
+    moves() { return this.sans; }
+
+    /** True when the current position belongs to the game rather than a variation */
+    onMainline() { return this.node.mainline; }
+
+    /** Get the from/to squares of the move that PRODUCED the current position */
+    currentMoveSquares() {
+        return this.node.move;
+    }
+
+    /** Get classification for the move that produced the current position (mainline only) */
+    currentClassification() {
+        if (this.node === this.root || !this.node.mainline || this.classifications.length === 0) return null;
+        return this.classifications[this.node.ply - 1] || null;
+    }
+
+    /** Get classification for move at index i (0-based into sans[]) */
+    getMoveClassification(moveIdx) {
+        if (this.classifications.length === 0) return null;
+        return this.classifications[moveIdx] || null;
+    }
+
+    /**
+     * Play a move from the current position, e.g. one dragged on the board. Follows an
+     * existing branch when the move was played before, otherwise starts a variation.
+     * @param {string|{from: string, to: string, promotion?: string}} move
+     * @returns {Object|null} the new current node, or null if the move is illegal
+     */
+    addMove(move) {
+        const game = createGame(this.node.fen, this.chess960);
+        const played = game.move(move, { sloppy: true });
+        if (!played) return null;
+
+        const existing = this.node.children.find(c => c.san === played.san);
+        if (existing) {
+            this.node = existing;
+            return existing;
+        }
+
+        const square = ChessLogic._moveSquares(played);
+        this.node = this._createNode(this.node, game.fen(), played.san, square, false);
+        return this.node;
+    }
+
+    /** Remove a variation (the node and everything after it); the mainline can't be deleted */
+    deleteVariation(node) {
+        if (!node || node.mainline || !node.parent) return;
+        let n = this.node;
+        while (n && n !== node) n = n.parent;
+        if (n === node) this.node = node.parent; // we were inside the deleted branch
+
+        node.parent.children = node.parent.children.filter(c => c !== node);
+    }
+
+    goStart() { this.node = this.root; return this.fen(); }
+    /** Last position of the current line (the mainline or the variation we're in) */
+    goEnd() {
+        while (this.node.children.length > 0) this.node = this.node.children[0];
+        return this.fen();
+    }
+    goNext() { if (this.node.children.length > 0) this.node = this.node.children[0]; return this.fen(); }
+    goPrev() { if (this.node.parent) this.node = this.node.parent; return this.fen(); }
+    goTo(i) { if (i >= 0 && i < this.mainline.length) this.node = this.mainline[i]; return this.fen(); }
+    goToNode(node) { if (node) this.node = node; return this.fen(); }
+
+    /** Switch to the previous (-1) or next (+1) alternative to the move that led here */
+    goSibling(delta) {
+        const parent = this.node.parent;
+        if (!parent || parent.children.length < 2) return this.fen();
+        const i = parent.children.indexOf(this.node);
+        const j = (i + delta + parent.children.length) % parent.children.length;
+        this.node = parent.children[j];
+        return this.fen();
+    }
+
+    turn() {
+        return this.node.fen.split(' ')[1];
+    }
+
+    /**
+     * Deepest named opening (ECO code + variation) the current game reached.
+     */
+    getGameOpening() {
+        if (this.sans.length === 0 || this.chess960) return null;
+        return findOpening(this.fens);
+    }
+}
+
+// ========================
+// Move Classification
+// ========================
+const CLASSIFICATION = {
+    BRILLIANT: { key: 'brilliant', label: '!!', color: '#1baaa7', icon: '💎' },
+    GREAT: { key: 'great', label: '!', color: '#5c8bb0', icon: '⭐' },
+    BEST: { key: 'best', label: '✓', color: '#96bc4b', icon: '✅' },
+    GOOD: { key: 'good', label: '', color: '#96bc4b', icon: '' },
+    BOOK: { key: 'book', label: '📖', color: '#a88764', icon: '📖' },
+    INACCURACY: { key: 'inaccuracy', label: '?!', color: '#e6a835', icon: '⚠️' },
+    MISTAKE: { key: 'mistake', label: '?', color: '#e68a35', icon: '❌' },
+    BLUNDER: { key: 'blunder', label: '??', color: '#ca3431', icon: '🔴' },
+    MISS: { key: 'miss', label: '✗', color: '#ee6b55', icon: '✖️' },
+};
+
+function getMaterialBalance(fen) {
+    const pieces = fen.split(' ')[0];
+    const vals = { 'P': 1, 'N': 3, 'B': 3, 'R': 5, 'Q': 9, 'p': -1, 'n': -3, 'b': -3, 'r': -5, 'q': -9 };
+    let bal = 0;
+    for (let c of pieces) {
+        if (vals[c]) bal += vals[c];
+    }
+    return bal;
+}
+
+const PIECE_VALUES = { p: 1, n: 3, b: 3, r: 5, q: 9, k: 0 };
+
+/**
+ * Static exchange evaluation: material (in pawns) the side to move wins by capturing
+ * on `square` and trading down with least-valuable attackers, either side free to stop.
+ * Uses legal moves only, so pinned pieces don't count as attackers.
+ */
+function staticExchange(fen, square) {
+    const game = new Chess(fen);
+    const swap = () => {
+        const target = game.get(square);
+        if (!target) return 0;
+        const captures = game.moves({ verbose: true }).filter(m => m.to === square && m.captured);
+        if (captures.length === 0) return 0;
+        // Least valuable attacker first; the king only ever captures last
+        const order = (m) => m.piece === 'k' ? 100 : PIECE_VALUES[m.piece];
+        captures.sort((a, b) => order(a) - order(b));
+        game.move(captures[0]);
+        const gain = PIECE_VALUES[target.type] - swap();
+        game.undo();
+        return Math.max(0, gain);
+    };
+    return swap();
+}
+
+/**
+ * Material a move newly leaves for the taking: the best exchange the opponent has against
+ * any of the mover's pieces on the resulting FEN, minus what the move itself captured.
+ * A piece that stayed put only counts for what the move added to the exchange it was
+ * already open to on `fenBefore`, so material that was hanging anyway isn't a sacrifice.
+ * @returns {{value: number, square: string, piece: string}|null} null when nothing is given up
+ */
+function findSacrifice(fenAfter, moverColor, capturedValue = 0, fenBefore = null) {
+    const game = new Chess(fenAfter);
+    const targets = new Set(game.moves({ verbose: true })
+        .filter(m => m.captured && game.get(m.to) && game.get(m.to).color === moverColor)
+        .map(m => m.to));
+
+    // The position before the move with the opponent to move, for what was en prise already
+    let fenThreats = null;
+    if (fenBefore) {
+        const parts = fenBefore.split(' ');
+        parts[1] = parts[1] === 'w' ? 'b' : 'w';
+        parts[3] = '-';
+        fenThreats = parts.join(' ');
+    }
+    const before = fenThreats ? new Chess(fenThreats) : null;
+
+    let best = null;
+    targets.forEach(sq => {
+        const piece = game.get(sq);
+        const was = before ? before.get(sq) : null;
+        const stayed = was && was.type === piece.type && was.color === piece.color;
+        const value = staticExchange(fenAfter, sq) - capturedValue - (stayed ? staticExchange(fenThreats, sq) : 0);
+        if (value > 0 && (!best || value > best.value)) {
+            best = { value, square: sq, piece: piece.type };
+        }
+    });
+    return best;
+}
+
+/** Half-moves played before `fen` according to its move counter (0 = White's first move) */
+function gamePly(fen) {
+    const [, turn, , , , fullmove] = fen.split(' ');
+    return ((parseInt(fullmove) || 1) - 1) * 2 + (turn === 'b' ? 1 : 0);
+}
+
+function getGamePhase(fen, moveIndex = gamePly(fen)) {
+    const pieces = fen.split(' ')[0];
+    let majorMinorCount = 0;
+    for (let c of pieces) {
+        if ('NBRQnbrq'.includes(c)) majorMinorCount++;
+    }
+
+    // Opening: First 10-12 full moves (20-25 ply) OR very few pieces traded
+    if (moveIndex < 24 && majorMinorCount >= 10) return 'opening';
+
+    // Endgame: Few major/minor pieces left
+    if (majorMinorCount <= 6) return 'endgame';
+
+    // Otherwise, Middlegame
+    return 'middlegame';
+}
+
+// ========================
+// Openings (ECO database from ecodata.js)
+// ========================
+
+/** Openings are only looked for in the first N half-moves */
+const OPENING_SEARCH_PLIES = 40;
+
+/**
+ * Short descriptions for well-known openings, matched against the start of the ECO name
+ * so that e.g. every "Sicilian Defense: Najdorf Variation, ..." line gets the Najdorf note.
+ */
+const OPENING_NOTES = [
+    { prefix: "Sicilian Defense: Najdorf", desc: "one of the sharpest, most respected, and deeply analyzed lines in chess." },
+    { prefix: "Sicilian Defense: Open", desc: "a highly dynamic battleground where White plays for an attack while Black relies on a strong center." },
+    { prefix: "Sicilian Defense: Alapin", desc: "an anti-Sicilian setup aiming to build a strong classical pawn center." },
+    { prefix: "Sicilian Defense", desc: "a sharp, asymmetrical opening that immediately fights for the center." },
+    { prefix: "Ruy Lopez: Morphy Defense", desc: "challenging the Spanish bishop early to solidify Black's position." },
+    { prefix: "Ruy Lopez", desc: "the Spanish Game, a highly classical opening focusing on rapid development." },
+    { prefix: "Italian Game: Giuoco Piano", desc: "the 'Quiet Game', maneuvering pieces to ideal squares before striking." },
+    { prefix: "Italian Game: Two Knights Defense", desc: "a highly aggressive counterattack against the Italian Game." },
+    { prefix: "Italian Game", desc: "aiming for rapid development and attacking the vulnerable f7 square." },
+    { prefix: "Scotch Game", desc: "an immediate central break aiming for open, tactical play." },
+    { prefix: "French Defense: Tarrasch Variation", desc: "a solid choice for White avoiding the pin on b4." },
+    { prefix: "French Defense", desc: "a resilient counter-attacking opening relying on central pawn tension." },
+    { prefix: "Caro-Kann Defense", desc: "an incredibly solid setup supporting a central break without blocking the light-squared bishop." },
+    { prefix: "Queen's Gambit Declined", desc: "a sturdy classical approach that declines the wing pawn sacrifice." },
+    { prefix: "Slav Defense", desc: "a highly respected defense to the Queen's Gambit securing the d5 outpost." },
+    { prefix: "Queen's Gambit Accepted", desc: "accepting the gambit pawn to challenge White's center later." },
+    { prefix: "Queen's Gambit", desc: "the most classical 1. d4 opening offering a flank pawn for central dominance." },
+    { prefix: "Nimzo-Indian Defense", desc: "a premier hypermodern opening allowing a doubled pawn for rapid development." },
+    { prefix: "King's Indian Defense", desc: "a hyper-dynamic, attacking opening leading to complex tactical imbalances." },
+    { prefix: "Grünfeld Defense", desc: "an aggressive hypermodern choice striking back at White's center immediately with pawns." },
+    { prefix: "Dutch Defense", desc: "an uncompromising, asymmetrical fight for the e4 square." },
+    { prefix: "Pirc Defense", desc: "a hypermodern defense fighting for the center from the flanks." },
+    { prefix: "Modern Defense", desc: "a flexible and provocative hypermodern opening." },
+    { prefix: "English Opening: King's English Variation", desc: "a rich strategical system playing the Sicilian up a tempo." },
+    { prefix: "English Opening", desc: "a flexible flank opening that fights for the center from the side." },
+    { prefix: "Réti Opening", desc: "a hypermodern system exerting pressure on the center from afar." },
+    { prefix: "Zukertort Opening", desc: "a highly flexible first move frequently transposing into other classical setups." },
+    { prefix: "Nimzo-Larsen Attack", desc: "a hypermodern flank opening preparing an immediate fianchetto." },
+    { prefix: "Bird Opening", desc: "an aggressive flank attack seizing control of the e5 square early." },
+    { prefix: "Scandinavian Defense", desc: "an early central challenge that forces immediate decisions from White." },
+    { prefix: "King's Gambit", desc: "the ultimate romantic chess opening, sacrificing a pawn for an open f-file and rapid attack." },
+    { prefix: "Philidor Defense", desc: "a solid, if somewhat passive, opening approach for Black." },
+    { prefix: "King's Pawn Game", desc: "a classical and principled way to start the game." },
+    { prefix: "Queen's Pawn Game", desc: "a strategic, positional battle from move one." }
+];
+
+/** Position key used by the ECO database: placement, side to move and castling rights */
+function openingKey(fen) {
+    return fen.split(' ').slice(0, 3).join(' ');
+}
+
+/**
+ * Named opening for a position, however it was reached (transpositions included).
+ * @returns {{eco: string, name: string, desc: string|null}|null}
+ */
+function lookupOpening(fen) {
+    if (typeof ECO_OPENINGS === 'undefined') return null;
+    const entry = ECO_OPENINGS[openingKey(fen)];
+    return entry ? openingWithNote(entry[0], entry[1]) : null;
+}
+
+function openingWithNote(eco, name) {
+    let note = null;
+    for (const n of OPENING_NOTES) {
+        if (name.startsWith(n.prefix) && (!note || n.prefix.length > note.prefix.length)) note = n;
+    }
+    return { eco: eco, name: name, desc: note ? note.desc : null };
+}
+
+/** "ECO|name" of every opening in the database, built on first use */
+let knownOpeningNames = null;
+
+/** Is this ECO code and name an opening in the database? */
+function isKnownOpening(eco, name) {
+    if (typeof ECO_OPENINGS === 'undefined') return false;
+    if (!knownOpeningNames) knownOpeningNames = new Set(Object.values(ECO_OPENINGS).map(entry => entry.join('|')));
+    return knownOpeningNames.has(`${eco}|${name}`);
+}
+
+/**
+ * Opening by its ECO code and name, as lookupOpening returns it, or null when the
+ * database has no such opening.
+ */
+function lookupOpeningByName(eco, name) {
+    return isKnownOpening(eco, name) ? openingWithNote(eco, name) : null;
+}
+
+/**
+ * Deepest named opening reached in a sequence of positions (index 0 = start).
+ * `ply` is the index of that position, i.e. how many half-moves stayed in the database.
+ * @returns {{eco: string, name: string, desc: string|null, ply: number}|null}
+ */
+function findOpening(fens) {
+    let deepest = null;
+    const last = Math.min(fens.length - 1, OPENING_SEARCH_PLIES);
+    for (let i = 1; i <= last; i++) {
+        const opening = lookupOpening(fens[i]);
+        if (opening) deepest = { ...opening, ply: i };
+    }
+    return deepest;
+}
+
+/** Opening reached by a list of SAN moves, played from `startFen` (default: initial position) */
+function getOpening(sans, startFen) {
+    const game = startFen ? new Chess(startFen) : new Chess();
+    const fens = [game.fen()];
+    for (const san of sans.slice(0, OPENING_SEARCH_PLIES)) {
+        if (!game.move(san, { sloppy: true })) break;
+        fens.push(game.fen());
+    }
+    return findOpening(fens);
+}
+
+// ========================
+// Expected-Points Model
+// ========================
+
+/**
+ * Model used by analyzeFullGame to classify moves by the change in expected score
+ * (win = 1, draw = ½, loss = 0) rather than by raw pawns. Mutate it, or pass a copy
+ * to analyzeFullGame, to tune the classifier.
+ *  - scale:      logistic slope, per centipawn
+ *  - drawMargin: centipawns either side of equality where draws dominate
+ *  - thresholds: largest expected-points loss each class allows; above `mistake` is a blunder
+ *  - onlyMoveGap: expected points the best line must beat the runner-up by to count as the only move
+ *  - brilliant:  when a sound sacrifice (see findSacrifice) earns "brilliant"
+ *  - miss:       when a reply to an opponent's mistake/blunder that lets it go unpunished is a "miss"
+ *  - clock:      when an error gets the time_trouble / rushed tags (games with [%clk] comments)
+ */
+const CLASSIFICATION_MODEL = {
+    scale: 0.006,
+    drawMargin: 120,
+    thresholds: {
+        best: 0.02,
+        good: 0.05,
+        inaccuracy: 0.10,
+        mistake: 0.20
+    },
+    onlyMoveGap: 0.15,
+    brilliant: {
+        minSacrifice: 2,          // net material (pawns) the move must leave en prise or give up
+        maxLoss: 0.02,            // expected points the sacrifice may cost: best or near-best only
+        maxExpectedBefore: 0.95,  // no brilliancy needed when already completely winning
+        minExpectedAfter: 0.35    // a sacrifice that leaves you lost isn't brilliant
+    },
+    miss: {
+        minLoss: 0.10,            // expected points the reply must give back (mistake territory)
+        maxExtraLoss: 0.05        // ending up worse than before the opponent's error than this is a plain blunder
+    },
+    clock: {
+        lowTime: 30,              // seconds left that count as time trouble...
+        lowTimeFraction: 0.1,     // ...or this share of the base time, whichever is smaller
+        rushed: 2                 // seconds (increment included) a move in a critical position took at most to count as rushed
+    }
+};
+
+/**
+ * Win / draw / loss probabilities for White from a White-perspective eval.
+ * Mate scores are certain; otherwise two logistic curves offset by the draw margin.
+ */
+function winDrawLoss(score, isMate, model = CLASSIFICATION_MODEL) {
+    if (isMate) return score > 0 ? { win: 1, draw: 0, loss: 0 } : { win: 0, draw: 0, loss: 1 };
+    const cp = score * 100;
+    const win = 1 / (1 + Math.exp(-model.scale * (cp - model.drawMargin)));
+    const loss = 1 / (1 + Math.exp(model.scale * (cp + model.drawMargin)));
+    return { win, draw: 1 - win - loss, loss };
+}
+
+/** Expected score (0–1) for `color` from a White-perspective eval */
+function expectedPoints(score, isMate, color, model = CLASSIFICATION_MODEL) {
+    const wdl = winDrawLoss(score, isMate, model);
+    const white = wdl.win + wdl.draw / 2;
+    return color === 'w' ? white : 1 - white;
+}
+
+/** Score of a ranked engine line from the side to move, with mates clamped to ±100 */
+function lineScore(line) {
+    if (!line) return null;
+    return line.isMate ? (line.score > 0 ? 100 : -100) : line.score;
+}
+
+/**
+ * True when the engine's best line is the only one that holds the position:
+ * the runner-up gives away at least `model.onlyMoveGap` expected points.
+ * (Lines are from the side to move, so "White's view" is the mover's view here.)
+ */
+function isOnlyMove(lines, model = CLASSIFICATION_MODEL) {
+    if (!lines || lines.length < 2) return false; // a single legal move is forced, not found
+    const first = expectedPoints(lines[0].score, lines[0].isMate, 'w', model);
+    const second = expectedPoints(lines[1].score, lines[1].isMate, 'w', model);
+    return first - second >= model.onlyMoveGap;
+}
+
+// ========================
+// Accuracy (win-percentage model, as on Lichess)
+// ========================
+
+/** Winning chances (0–100) for White from a White-perspective eval in pawns */
+function winPercent(score) {
+    const cp = Math.max(-1000, Math.min(1000, score * 100));
+    return 50 + 50 * (2 / (1 + Math.exp(-0.00368208 * cp)) - 1);
+}
+
+/** Accuracy (0–100) of one move from the mover's win percentage before and after it */
+function moveAccuracy(winBefore, winAfter) {
+    if (winAfter >= winBefore) return 100;
+    const raw = 103.1668100711649 * Math.exp(-0.04354415386753951 * (winBefore - winAfter)) - 3.166924740191411;
+    return Math.max(0, Math.min(100, raw + 1)); // +1 absorbs engine noise on near-equal moves
+}
+
+function standardDeviation(values) {
+    const mean = values.reduce((s, v) => s + v, 0) / values.length;
+    return Math.sqrt(values.reduce((s, v) => s + (v - mean) ** 2, 0) / values.length);
+}
+
+/** Blend of volatility-weighted mean and harmonic mean, so one blunder still hurts */
+function aggregateAccuracy(entries) {
+    if (entries.length === 0) return null;
+    const totalWeight = entries.reduce((s, e) => s + e.weight, 0);
+    const weighted = entries.reduce((s, e) => s + e.accuracy * e.weight, 0) / totalWeight;
+    const harmonic = entries.length / entries.reduce((s, e) => s + 1 / Math.max(1, e.accuracy), 0);
+    return (weighted + harmonic) / 2;
+}
+
+/**
+ * Accuracy, average centipawn loss and per-phase accuracy for both sides.
+ * @param {Array} classifications - from analyzeFullGame (evalBefore/evalAfter in pawns, White's view)
+ * @param {string[]} colors - 'w' / 'b' for the side that played each move
+ * @returns {{w: Object, b: Object}|null} per side: { accuracy, acpl, moves, phases: { opening, middlegame, endgame } }
+ */
+function computeAccuracyStats(classifications, colors) {
+    const n = classifications.length;
+    if (n === 0) return null;
+
+    // Win% of every position from White's view (index 0 = before the first move)
+    const wins = [winPercent(classifications[0].evalBefore)].concat(classifications.map(c => winPercent(c.evalAfter)));
+
+    // Positions where the eval swings a lot weigh more than quiet stretches
+    const windowSize = Math.max(2, Math.min(8, Math.floor(n / 10)));
+
+    const entries = { w: [], b: [] };
+    const cpLosses = { w: [], b: [] };
+
+    classifications.forEach((cls, m) => {
+        const color = colors[m];
+        const start = Math.max(0, m - windowSize + 2);
+        const weight = Math.max(0.5, Math.min(12, standardDeviation(wins.slice(start, start + windowSize))));
+
+        const before = color === 'w' ? wins[m] : 100 - wins[m];
+        const after = color === 'w' ? wins[m + 1] : 100 - wins[m + 1];
+        entries[color].push({ accuracy: moveAccuracy(before, after), weight, phase: cls.phase });
+
+        // Centipawn loss with evals capped at ±10 pawns so mates don't swamp the average
+        const clampEval = (v) => Math.max(-10, Math.min(10, v)) * 100;
+        const diff = clampEval(cls.evalBefore) - clampEval(cls.evalAfter);
+        cpLosses[color].push(Math.max(0, color === 'w' ? diff : -diff));
+    });
+
+    const summarize = (color) => {
+        const list = entries[color];
+        const losses = cpLosses[color];
+        const phases = {};
+        ['opening', 'middlegame', 'endgame'].forEach(phase => {
+            const inPhase = list.filter(e => e.phase === phase);
+            phases[phase] = { accuracy: aggregateAccuracy(inPhase), moves: inPhase.length };
+        });
+        return {
+            accuracy: aggregateAccuracy(list),
+            acpl: losses.length > 0 ? Math.round(losses.reduce((s, v) => s + v, 0) / losses.length) : null,
+            moves: list.length,
+            phases: phases
+        };
+    };
+
+    return { w: summarize('w'), b: summarize('b') };
+}
+
+/**
+ * Evaluate every position of a game. Each entry is normalized to White's perspective
+ * and carries the engine's best move.
+ * All searches are submitted at once: an EnginePool spreads them over its workers,
+ * a single Engine works through its queue in order. Every search starts from a
+ * cleared hash so both paths produce the same numbers.
+ * @param {Engine|EnginePool} engine
+ * @param {string[]} fens
+ * @param {number} targetDepth
+ * @param {Function} onProgress - called with (positionsDone, total)
+ * @param {AbortSignal} [signal] - aborting rejects with an AbortError
+ * @param {boolean} [chess960=false] - search with UCI_Chess960 (castling moves come back king-to-rook)
+ * @param {Array} [knownEvals] - evaluations already known (e.g. from Lichess), indexed like `fens`:
+ *   { score, isMate, bestMove? } from White's perspective, or null (or a null score); only the other
+ *   positions are searched
+ * @returns {Promise<Array>}
+ */
+async function evaluatePositions(engine, fens, targetDepth, onProgress, signal, chess960 = false, knownEvals = null) {
+    const evals = new Array(fens.length);
+    let done = 0;
+
+    const evalOne = async (i) => {
+        // Check for terminal positions (checkmate/stalemate) — engine can't eval these
+        const tempGame = createGame(fens[i], chess960);
+        const isWhiteTurn = tempGame.turn() === 'w';
+
+        if (tempGame.game_over()) {
+            let score = 0;
+            let isMate = false;
+            if (tempGame.in_checkmate()) {
+                // Side to move is mated — they lost
+                score = isWhiteTurn ? -100 : 100; // from White's perspective
+                isMate = true;
+            }
+            evals[i] = { score, isMate, raw: 0, lines: [], bestMove: null };
+        } else if (knownEvals && knownEvals[i] && knownEvals[i].score !== null) {
+            // A single line without alternatives: no only-move detection for these positions
+            const known = knownEvals[i];
+            evals[i] = {
+                score: known.score,
+                isMate: !!known.isMate,
+                raw: isWhiteTurn ? known.score : -known.score,
+                pv: known.bestMove || '',
+                lines: [],
+                bestMove: known.bestMove || null
+            };
+        } else {
+            // Two lines so we can tell an only move from one of several good ones
+            const result = await engine.evalAsync(fens[i], targetDepth, { multiPv: 2, fresh: true, signal, chess960 });
+
+            // Score from Stockfish is from side-to-move perspective
+            // Normalize to White's perspective
+            evals[i] = {
+                score: isWhiteTurn ? result.score : -result.score,
+                isMate: result.isMate,
+                raw: result.score,
+                pv: result.pv || '',
+                lines: result.lines || [],  // side-to-move perspective, best first
+                bestMove: result.bestMove
+            };
+        }
+
+        done++;
+        if (onProgress) onProgress(done, fens.length);
+    };
+
+    await Promise.all(fens.map((_, i) => evalOne(i)));
+    return evals;
+}
+
+/**
+ * Analyze all positions in a game and classify each move.
+ * @param {Engine|EnginePool} engine
+ * @param {ChessLogic} logic
+ * @param {Function} onProgress - called with (positionsDone, total)
+ * @param {Object} [opts]
+ * @param {AbortSignal} [opts.signal] - cancels the remaining searches
+ * @param {Object} [opts.model=CLASSIFICATION_MODEL] - expected-points model and thresholds
+ * @param {Array} [opts.knownEvals] - evaluations to use instead of searching (see evaluatePositions),
+ *   optionally with the server's `judgment` of the move leading to each position
+ * @returns {Promise<Array>} classifications array
+ */
+async function analyzeFullGame(engine, logic, targetDepth, onProgress, opts = {}) {
+    const model = opts.model || CLASSIFICATION_MODEL;
+    const fens = logic.fens;
+    const numMoves = logic.sans.length;
+    const knownEvals = opts.knownEvals && opts.knownEvals.length === fens.length ? opts.knownEvals : null;
+    const evals = await evaluatePositions(engine, fens, targetDepth, onProgress, opts.signal, logic.chess960, knownEvals);
+    const bestMoves = evals.map(e => e.bestMove); // engine best move for each position
+
+    // Classify each move based on eval swing
+    const classifications = [];
+    // Moves are book while the game is still in the ECO database; a later named
+    // position means the unnamed positions before it were theory as well
+    const deepestOpening = logic.getGameOpening();
+    const bookPlies = deepestOpening ? deepestOpening.ply : 0;
+    let currentOpening = null;
+
+    for (let m = 0; m < numMoves; m++) {
+        const evalBefore = evals[m];
+        const evalAfter = evals[m + 1];
+        const engineBest = bestMoves[m]; // what engine recommended at this position
+
+        // The actual SAN move played
+        const playedMove = logic.squares[m];
+
+        // Handle mate scores
+        let scoreBefore = evalBefore.isMate ? (evalBefore.score > 0 ? 100 : -100) : evalBefore.score;
+        let scoreAfter = evalAfter.isMate ? (evalAfter.score > 0 ? 100 : -100) : evalAfter.score;
+
+        // Who moved? Rely on the parsed move color, not index parity
+        const isWhiteMove = playedMove.color === 'w';
+
+        // Centipawn loss from the mover's perspective
+        // If White moved: loss = scoreBefore - scoreAfter (white advantage should stay or increase)
+        // If Black moved: loss = scoreAfter - scoreBefore (white advantage should decrease or stay)
+        let cpLoss;
+        if (isWhiteMove) {
+            cpLoss = scoreBefore - scoreAfter;
+        } else {
+            cpLoss = scoreAfter - scoreBefore;
+        }
+
+        // Expected points the mover gave away (mates count as certain results)
+        const expectedBefore = expectedPoints(evalBefore.score, evalBefore.isMate, playedMove.color, model);
+        const expectedAfter = expectedPoints(evalAfter.score, evalAfter.isMate, playedMove.color, model);
+        const epLoss = Math.max(0, expectedBefore - expectedAfter);
+        const limits = model.thresholds;
+
+        // Best line clearly ahead of the runner-up: finding it was the only way to hold
+        const onlyMove = isOnlyMove(evalBefore.lines, model);
+        const bestGap = evalBefore.lines && evalBefore.lines.length >= 2
+            ? lineScore(evalBefore.lines[0]) - lineScore(evalBefore.lines[1])
+            : null;
+
+        const playedBest = !!engineBest && (playedMove.from + playedMove.to) === engineBest;
+
+        // Material the move leaves en prise or gives up, judged by static exchange
+        const capturedValue = playedMove.captured ? PIECE_VALUES[playedMove.captured] : 0;
+        const sacrifice = findSacrifice(fens[m + 1], playedMove.color, capturedValue, fens[m]);
+        const brilliantRule = model.brilliant;
+        const isSacrifice = !!sacrifice && sacrifice.value >= brilliantRule.minSacrifice;
+
+        let cls;
+
+        // Book moves (the game hasn't left the opening database yet), whatever a
+        // shallow search thinks of them
+        if (m < bookPlies) {
+            cls = CLASSIFICATION.BOOK;
+        }
+        // A real sacrifice the engine still rates as (near-)best, in a game that wasn't already won
+        else if (isSacrifice && (playedBest || epLoss <= brilliantRule.maxLoss)
+            && expectedBefore <= brilliantRule.maxExpectedBefore
+            && expectedAfter >= brilliantRule.minExpectedAfter) {
+            cls = CLASSIFICATION.BRILLIANT;
+        }
+        // If the move played IS the engine's best move, it can never be a mistake/blunder.
+        // (Sometimes CP drops on the next ply due to horizon effect, hiding the truth).
+        else if (playedBest) {
+            // Great if every alternative was clearly worse, but at minimum, it is the Best move.
+            cls = onlyMove ? CLASSIFICATION.GREAT : CLASSIFICATION.BEST;
+        }
+        // Classify by expected points lost, so a drop inside a won (or lost) position
+        // barely counts while the same drop near equality does
+        else if (epLoss <= limits.best) {
+            cls = CLASSIFICATION.BEST;
+        } else if (epLoss <= limits.good) {
+            cls = CLASSIFICATION.GOOD;
+        } else if (epLoss <= limits.inaccuracy) {
+            cls = CLASSIFICATION.INACCURACY;
+        } else if (epLoss <= limits.mistake) {
+            cls = CLASSIFICATION.MISTAKE;
+        } else {
+            cls = CLASSIFICATION.BLUNDER;
+        }
+
+        // The opponent just erred and this reply hands the advantage back: a missed punishment
+        // rather than an error of its own, unless it leaves the mover worse off than before
+        const previous = classifications[m - 1];
+        const missRule = model.miss;
+        const opponentErred = !!previous && ['mistake', 'blunder'].includes(previous.key);
+        const missed = opponentErred && epLoss > missRule.minLoss
+            && expectedAfter >= 1 - previous.expectedBefore - missRule.maxExtraLoss;
+        if (missed && !playedBest) {
+            cls = CLASSIFICATION.MISS;
+        }
+
+        const phase = getGamePhase(fens[m]);
+        const matBefore = getMaterialBalance(fens[m]);
+        const matAfter = getMaterialBalance(fens[m + 1]);
+        const matDiff = isWhiteMove ? (matAfter - matBefore) : -(matAfter - matBefore); // positive if mover won material
+
+        let engineBestSan = engineBest;
+        if (engineBest) {
+            try {
+                // Use a temporary chess instance to convert LAN to SAN
+                const tempGame = createGame(fens[m], logic.chess960);
+                const moveObj = tempGame.move({
+                    from: engineBest.substring(0, 2),
+                    to: engineBest.substring(2, 4),
+                    promotion: engineBest.length > 4 ? engineBest.substring(4) : undefined
+                });
+                if (moveObj && moveObj.san) {
+                    engineBestSan = moveObj.san;
+                }
+            } catch (e) {
+                // Keep LAN fallback if conversion fails
+            }
+        }
+
+        // --- Reason Tags ---
+        const san = logic.sans[m];
+
+        // Mover's clock when the move was made and the time it took, where the PGN records them
+        const clocks = logic.clocks || [];
+        const control = logic.timeControl;
+        const clockRule = model.clock;
+        const clockBefore = m >= 2 ? (clocks[m - 2] ?? null) : (control && clocks[m] != null ? control.base : null);
+        const spent = logic.timeSpent ? (logic.timeSpent[m] ?? null) : null;
+        const lowTime = control ? Math.min(clockRule.lowTime, control.base * clockRule.lowTimeFraction) : clockRule.lowTime;
+
+        const tags = [];
+        let hungPiece = null;
+
+        // Contextual Tags (applied to all moves)
+        if (san.includes('+')) tags.push('is_check');
+        if (san.includes('x')) tags.push('is_capture');
+        if (san.includes('O-O')) tags.push('is_castling');
+        if (onlyMove && playedBest) tags.push('only_move');
+        if (isSacrifice && epLoss <= limits.good) tags.push('sacrifice');
+
+        // Did they miss a forced mate?
+        if (isWhiteMove ? (evalBefore.isMate && evalBefore.score > 0 && !evalAfter.isMate) : (evalBefore.isMate && evalBefore.score < 0 && !evalAfter.isMate)) {
+            tags.push('missed_mate');
+        }
+
+        if (epLoss > limits.good) {
+            // It's an inaccuracy or worse
+            if (matDiff <= -3) {
+                tags.push('hanging_piece');
+            } else if (matDiff < 0) {
+                tags.push('lost_material');
+            }
+            if (evalBefore.pv && (evalBefore.pv.includes('x') || evalBefore.pv.includes('+'))) {
+                tags.push('missed_tactic');
+            }
+            if (san.includes('K')) {
+                tags.push('weakened_king');
+            }
+
+            // Clock context: erring with the flag about to fall, or blitzing out a critical move
+            if (clockBefore !== null && epLoss > limits.inaccuracy && clockBefore < lowTime) {
+                tags.push('time_trouble');
+            } else if (spent !== null && onlyMove && spent <= clockRule.rushed) {
+                tags.push('rushed');
+            }
+
+            // Ignored Threat: Did the opponent immediately capture something valuable on the next turn because we didn't address it?
+            if (evalAfter.pv && evalAfter.pv.includes('x')) {
+                tags.push('ignored_threat');
+            }
+
+            // Did we just hang a piece? Let's check the opponent's best response
+            const nextBest = evalAfter.pv ? evalAfter.pv.split(' ')[0] : null; // e.g., "e4d5"
+            if (nextBest && nextBest.length >= 4) {
+                const toSquare = nextBest.substring(2, 4);
+                try {
+                    const tempGame2 = new Chess(fens[m + 1]);
+                    const pieceAtTarget = tempGame2.get(toSquare);
+                    // If the opponent's best move captures our piece
+                    if (pieceAtTarget && pieceAtTarget.color === playedMove.color) {
+                        hungPiece = pieceAtTarget.type;
+                    }
+                } catch (e) { }
+            }
+
+            // Missed Fork/Tactic: If engine wanted a Knight move that resulted in a huge swing, it was likely a fork.
+            if (engineBestSan && engineBestSan.startsWith('N') && (scoreBefore - scoreAfter > 2.0)) {
+                tags.push('missed_fork');
+            }
+
+            // Positional: Moving the king manually instead of castling
+            if (san.startsWith('K') && !san.includes('O-O') && phase === 'opening') {
+                tags.push('missed_castling');
+            }
+
+            // Positional: Moving the Queen out too early
+            if (san.startsWith('Q') && phase === 'opening' && gamePly(fens[m]) < 10) {
+                tags.push('early_queen');
+            }
+
+            // Positional: Knights on the rim are dim
+            if (san.startsWith('N') && (san.includes('a') || san.includes('h'))) {
+                tags.push('knight_on_rim');
+            }
+
+            // Positional: Edge pawn pushes in the opening
+            if (san.match(/^[ah][3456]/) && phase === 'opening') {
+                tags.push('edge_pawn_push');
+            }
+
+            // Positional: Moving the same piece twice in the opening instead of developing
+            if (m >= 2 && phase === 'opening') {
+                const lastMyMove = logic.squares[m - 2];
+                if (lastMyMove && playedMove.piece === lastMyMove.piece && playedMove.from === lastMyMove.to) {
+                    tags.push('redundant_move');
+                }
+            }
+
+            // Trading evaluation
+            if (Math.abs(matDiff) === 0 && san.includes('x')) {
+                // If they are losing heavily (e.g. down -3 eval) and they traded, it's a "bad trade"
+                if ((isWhiteMove && scoreBefore < -300) || (!isWhiteMove && scoreBefore > 300)) {
+                    tags.push('bad_trade');
+                } else {
+                    tags.push('allowed_trade');
+                }
+            }
+        } else if (playedMove.piece === 'p') {
+            // Good/Best move: Is it a pawn kicking a piece?
+            const nextBest = evalAfter.pv ? evalAfter.pv.split(' ')[0] : null;
+            if (nextBest && nextBest.length >= 4) {
+                const fromSquare = nextBest.substring(0, 2);
+                try {
+                    const tempGame2 = new Chess(fens[m + 1]);
+                    const pieceMoving = tempGame2.get(fromSquare);
+                    if (pieceMoving && ['n', 'b', 'r', 'q'].includes(pieceMoving.type) && pieceMoving.color !== playedMove.color) {
+                        tags.push('kicks_piece');
+                    }
+                } catch (e) { }
+            }
+        }
+
+        let openingInfo = null;
+        if (m < bookPlies) currentOpening = lookupOpening(fens[m + 1]) || currentOpening;
+        if (cls.key === 'book') {
+            openingInfo = currentOpening;
+        }
+
+        classifications.push({
+            ...cls,
+            cpLoss: cpLoss,
+            epLoss: epLoss,                   // expected points lost (0–1), drives the class
+            expectedBefore: expectedBefore,
+            expectedAfter: expectedAfter,
+            evalBefore: scoreBefore,
+            evalAfter: scoreAfter,
+            mateAfter: evalAfter.isMate ? evalAfter.score : null,  // moves to mate (White POV), if any
+            clock: clockBefore,               // mover's seconds left when making the move, if known
+            timeSpent: spent,                 // seconds the move took, if known
+            engineBest: engineBest,           // Keep LAN for the UI arrows (e2e4)
+            engineBestSan: engineBestSan,     // New SAN for Cheshire (e4)
+            enginePv: evalBefore.pv,
+            bestGap: bestGap,                 // pawns between the engine's first and second line
+            from: playedMove.from,
+            to: playedMove.to,
+            piece: playedMove.piece,
+            tags: tags,
+            phase: phase,
+            matBefore: matBefore,
+            matAfter: matAfter,
+            opening: openingInfo,
+            hungPiece: hungPiece,
+            sacrificedPiece: isSacrifice ? sacrifice.piece : null,
+            missedAfter: cls.key === 'miss' ? logic.sans[m - 1] : null,  // the opponent error left unpunished
+            judgment: knownEvals && knownEvals[m + 1] ? (knownEvals[m + 1].judgment || null) : null  // server's verdict
+        });
+    }
+
+    return classifications;
+}
+
+/** Classification for each judgment name Lichess gives */
+const SERVER_JUDGMENTS = {
+    Inaccuracy: CLASSIFICATION.INACCURACY,
+    Mistake: CLASSIFICATION.MISTAKE,
+    Blunder: CLASSIFICATION.BLUNDER
+};
+
+/**
+ * Classifications straight from a server's analysis (ChessAPI.lichessEvals), to show
+ * while analyzeFullGame searches the positions the server didn't evaluate. A judged
+ * move takes the server's verdict; the others are book while the game is in the ECO
+ * database, best when the server preferred them, and good otherwise. A position
+ * without an eval (the start position, always) borrows the nearest one.
+ * @returns {Array|null} null when there's no server analysis of this game
+ */
+function classifyKnownEvals(logic, knownEvals) {
+    const fens = logic.fens;
+    if (!knownEvals || knownEvals.length !== fens.length || logic.sans.length === 0) return null;
+
+    const scores = knownEvals.map(e => (!e || e.score === null ? null : e.isMate ? (e.score > 0 ? 100 : -100) : e.score));
+    if (scores.every(v => v === null)) return null;
+    for (let i = 1; i < scores.length; i++) if (scores[i] === null) scores[i] = scores[i - 1];
+    for (let i = scores.length - 2; i >= 0; i--) if (scores[i] === null) scores[i] = scores[i + 1];
+
+    const deepestOpening = logic.getGameOpening();
+    const bookPlies = deepestOpening ? deepestOpening.ply : 0;
+    let currentOpening = null;
+
+    return logic.sans.map((san, m) => {
+        const played = logic.squares[m];
+        const judgment = knownEvals[m + 1] && knownEvals[m + 1].judgment ? knownEvals[m + 1].judgment : null;
+        const serverBest = knownEvals[m] && knownEvals[m].bestMove ? knownEvals[m].bestMove : null;
+        const promotion = /=([QRBN])/.exec(san); // the server's UCI names the promotion piece: e7e8q
+        const playedUci = played.from + played.to + (promotion ? promotion[1].toLowerCase() : '');
+        if (m < bookPlies) currentOpening = lookupOpening(fens[m + 1]) || currentOpening;
+
+        let cls;
+        if (judgment && SERVER_JUDGMENTS[judgment.name]) cls = SERVER_JUDGMENTS[judgment.name];
+        else if (m < bookPlies) cls = CLASSIFICATION.BOOK;
+        else if (serverBest === playedUci) cls = CLASSIFICATION.BEST;
+        else cls = CLASSIFICATION.GOOD;
+
+        const drop = scores[m] - scores[m + 1];
+        return {
+            ...cls,
+            cpLoss: Math.max(0, played.color === 'w' ? drop : -drop),
+            evalBefore: scores[m],
+            evalAfter: scores[m + 1],
+            engineBest: serverBest,
+            from: played.from,
+            to: played.to,
+            piece: played.piece,
+            tags: [],
+            phase: getGamePhase(fens[m]),
+            opening: cls.key === 'book' ? currentOpening : null,
+            judgment: judgment
+        };
+    });
+}
+
+// ========================
+// PGN files & annotated export
+// ========================
+
+/**
+ * Split a PGN file into one PGN string per game. A game starts at the first tag
+ * pair that follows movetext.
+ */
+function splitPGN(text) {
+    const games = [];
+    let current = [];
+    let inMoves = false;
+
+    for (const line of text.replace(/\r\n?/g, '\n').split('\n')) {
+        const isTag = /^\s*\[\w+\s+".*"\]\s*$/.test(line);
+        if (isTag && inMoves) {
+            games.push(current.join('\n'));
+            current = [];
+            inMoves = false;
+        }
+        if (!isTag && line.trim()) inMoves = true;
+        current.push(line);
+    }
+    games.push(current.join('\n'));
+
+    return games.map(g => g.trim()).filter(g => g.length > 0);
+}
+
+/** Tag pairs of a single-game PGN, read without replaying the moves (cheap for big files) */
+function parsePGNHeaders(pgn) {
+    const headers = {};
+    for (const m of pgn.matchAll(/^\s*\[(\w+)\s+"((?:[^"\\]|\\.)*)"\]\s*$/gm)) {
+        headers[m[1]] = m[2].replace(/\\(["\\])/g, '$1');
+    }
+    return headers;
+}
+
+/** `[Key "value"]` tag pair line, with backslashes and quotes escaped as the PGN standard requires */
+function formatTagPair(key, value) {
+    return `[${key} "${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"]`;
+}
+
+/**
+ * Mainline SAN moves of a PGN and the comment text after each (`comments[i]` follows
+ * move i), with variations skipped. chess.js drops comments when it loads a PGN, so
+ * the movetext is scanned separately; Chess960 games are replayed from `sans`.
+ */
+function parseMovetext(pgn) {
+    const movetext = pgn.replace(/\r\n?/g, '\n').replace(/^\s*\[\w+\s+"(?:[^"\\]|\\.)*"\]\s*$/gm, '');
+    const sans = [];
+    const comments = [];
+    let depth = 0;
+    let ply = -1;
+    for (const token of movetext.matchAll(/\{([^}]*)\}|;[^\n]*|[()]|\d+\.+|[^\s{}();]+/g)) {
+        const text = token[0];
+        if (text === '(') depth++;
+        else if (text === ')') depth--;
+        else if (depth > 0) continue;
+        else if (token[1] !== undefined) {
+            if (ply >= 0) comments[ply] = comments[ply] ? `${comments[ply]} ${token[1]}` : token[1];
+        } else if (/^[a-zA-Z]/.test(text)) { // a SAN move (numbers, NAGs and results start otherwise)
+            sans.push(text);
+            ply++;
+        }
+    }
+    return { sans, comments };
+}
+
+/** Seconds in a comment's `[%clk h:mm:ss(.s)]` command, or null */
+function parseClock(comment) {
+    const m = /\[%clk\s+(\d+):(\d{1,2}):(\d{1,2}(?:\.\d+)?)\]/.exec(comment);
+    return m ? parseInt(m[1]) * 3600 + parseInt(m[2]) * 60 + parseFloat(m[3]) : null;
+}
+
+/** `[%clk]` command for a clock reading in seconds, e.g. "[%clk 0:02:59.9]" */
+function formatClockCommand(seconds) {
+    const tenths = Math.round(seconds * 10);
+    const h = Math.floor(tenths / 36000);
+    const m = Math.floor(tenths / 600) % 60;
+    const s = (tenths % 600) / 10;
+    const sec = Number.isInteger(s) ? String(s).padStart(2, '0') : s.toFixed(1).padStart(4, '0');
+    return `[%clk ${h}:${String(m).padStart(2, '0')}:${sec}]`;
+}
+
+/** { base, increment } in seconds from a TimeControl tag like "180+2"; null for "-", "?" or correspondence */
+function parseTimeControl(tag) {
+    const m = /^(\d+)(?:\+(\d+))?$/.exec((tag || '').trim());
+    return m ? { base: parseInt(m[1]), increment: m[2] ? parseInt(m[2]) : 0 } : null;
+}
+
+/** Numeric Annotation Glyph written for each classification in annotated PGN */
+const CLASSIFICATION_NAGS = {
+    brilliant: '$3',
+    great: '$1',
+    inaccuracy: '$6',
+    mistake: '$2',
+    miss: '$2',
+    blunder: '$4'
+};
+
+/** `[%eval]` command for the position after a classified move, e.g. "0.35" or "#-3" */
+function formatEvalCommand(classification) {
+    if (classification.mateAfter !== null && classification.mateAfter !== undefined) {
+        return `[%eval #${classification.mateAfter}]`;
+    }
+    return `[%eval ${classification.evalAfter.toFixed(2)}]`;
+}
+
+/** Move-number token for the side to move in `fen` ("12." or "12..."), or null if none is needed */
+function moveNumberToken(fen, force) {
+    const [, turn, , , , fullmove] = fen.split(' ');
+    if (turn === 'w') return `${fullmove}.`;
+    return force ? `${fullmove}...` : null;
+}
+
+/** Append a `{ comment }` as word tokens so long text wraps like the rest of the movetext */
+function pushComment(tokens, text) {
+    const words = String(text).replace(/[{}]/g, '').split(/\s+/).filter(w => w.length > 0);
+    if (words.length > 0) tokens.push('{', ...words, '}');
+}
+
+/** Engine line (UCI moves) from `fen` converted to SAN, at most `maxPlies` long */
+function pvToSan(fen, pv, maxPlies = 10, chess960 = false) {
+    const game = createGame(fen, chess960);
+    const line = [];
+    for (const uci of (pv || '').split(' ').filter(Boolean).slice(0, maxPlies)) {
+        const fenBefore = game.fen();
+        const move = game.move({ from: uci.slice(0, 2), to: uci.slice(2, 4), promotion: uci[4] });
+        if (!move) break;
+        line.push({ san: move.san, fen: fenBefore });
+    }
+    return line;
+}
+
+/**
+ * PGN of the loaded game annotated with its review: a NAG per classification, an
+ * `[%eval]` comment after every analysed move (the format Lichess and most GUIs
+ * read back), the game's `[%clk]` times, the opening name, and for every
+ * move that wasn't the engine's choice the engine's line as a variation.
+ * @param {ChessLogic} logic
+ * @param {Object} [opts]
+ * @param {Function} [opts.explain] - (san, classification) => plain text added to the move's comment
+ * @param {number} [opts.pvPlies=10] - length of the engine variations
+ * @param {boolean} [opts.annotate=true] - false leaves out the review and keeps only moves and clock times
+ * @returns {string}
+ */
+function buildAnnotatedPGN(logic, opts = {}) {
+    const headers = { ...logic.headers };
+    const opening = logic.getGameOpening();
+    if (opening && !headers.ECO) headers.ECO = opening.eco;
+    if (opening && !headers.Opening) headers.Opening = opening.name;
+    if (!headers.Result) headers.Result = '*';
+    const tagLines = Object.keys(headers).map(k => formatTagPair(k, headers[k]));
+
+    const tokens = [];
+    let needsNumber = true; // Black's move needs its number at the start and after a comment or variation
+
+    logic.sans.forEach((san, i) => {
+        const cls = opts.annotate === false ? null : logic.classifications[i];
+        const number = moveNumberToken(logic.fens[i], needsNumber);
+        if (number) tokens.push(number);
+        tokens.push(san);
+        needsNumber = false;
+
+        if (cls && CLASSIFICATION_NAGS[cls.key]) tokens.push(CLASSIFICATION_NAGS[cls.key]);
+
+        const comment = [];
+        // A mated position has no evaluation to report
+        if (cls && !san.endsWith('#')) comment.push(formatEvalCommand(cls));
+        if (logic.clocks && logic.clocks[i] != null) comment.push(formatClockCommand(logic.clocks[i]));
+        if (cls && opening && i + 1 === opening.ply) comment.push(`${opening.eco} ${opening.name}`);
+        if (cls && opts.explain) comment.push(opts.explain(san, cls));
+        if (comment.length > 0) {
+            pushComment(tokens, comment.join(' '));
+            needsNumber = true;
+        }
+        if (!cls) return;
+
+        // What the engine wanted instead; SAN also tells promotions apart
+        const playedBest = cls.engineBestSan ? cls.engineBestSan === san : cls.engineBest === cls.from + cls.to;
+        if (cls.enginePv && !playedBest) {
+            const line = pvToSan(logic.fens[i], cls.enginePv, opts.pvPlies || 10, logic.chess960);
+            if (line.length > 0) {
+                tokens.push('(');
+                line.forEach((m, j) => {
+                    const n = moveNumberToken(m.fen, j === 0);
+                    if (n) tokens.push(n);
+                    tokens.push(m.san);
+                });
+                tokens.push(')');
+                needsNumber = true;
+            }
+        }
+    });
+    tokens.push(headers.Result);
+
+    // Wrap movetext at 80 columns, as the PGN standard recommends
+    const lines = [];
+    let line = '';
+    for (const token of tokens) {
+        if (line && line.length + 1 + token.length > 80) {
+            lines.push(line);
+            line = token;
+        } else {
+            line = line ? `${line} ${token}` : token;
+        }
+    }
+    if (line) lines.push(line);
+
+    return tagLines.join('\n') + '\n\n' + lines.join('\n') + '\n';
+}
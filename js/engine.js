@@ -1,174 +1,287 @@
-/**
- * Stockfish Engine Web Worker wrapper.
- * Supports both live evaluation and batch position analysis.
- */
-class Engine {
-    constructor(onUpdate) {
-        this.onUpdate = onUpdate;
-        this.ready = false;
-        this.worker = null;
-        this._currentBestMove = null;
-        this._currentPv = null;
-        this._currentScore = null;
-        this._currentDepth = 0;
-        this._currentIsMate = false;
-        this._resolveEval = null;   // for promise-based batch eval
-        this._targetDepth = 14;
-        this._init();
-    }
-
-    _init() {
-        try {
-            this.worker = new Worker('js/stockfish-worker.js');
-            this.worker.addEventListener('message', (e) => this._onMessage(e.data));
-            this.worker.addEventListener('error', (err) => {
-                console.error('Stockfish worker error:', err.message || err);
-            });
-            setTimeout(() => {
-                if (this.worker) this.worker.postMessage('uci');
-            }, 500);
-        } catch (err) {
-            console.error('Could not create Stockfish worker:', err);
-        }
-    }
-
-    _onMessage(line) {
-        if (typeof line !== 'string') return;
-
-        if (line === 'uciok') {
-            this.worker.postMessage('isready');
-        }
-
-        if (line === 'readyok') {
-            this.ready = true;
-            console.log('Stockfish engine ready.');
-        }
-
-        if (line.startsWith('info') && line.includes(' score ')) {
-            const depthMatch = line.match(/\bdepth\s+(\d+)/);
-            const cpMatch = line.match(/\bscore\s+cp\s+(-?\d+)/);
-            const mateMatch = line.match(/\bscore\s+mate\s+(-?\d+)/);
-            const pvMatch = line.match(/\bpv\s+(.*)$/);
-
-            if (!depthMatch) return;
-            const depth = parseInt(depthMatch[1]);
-
-            let score = 0;
-            let isMate = false;
-
-            if (cpMatch) {
-                score = parseInt(cpMatch[1]) / 100;
-            } else if (mateMatch) {
-                score = parseInt(mateMatch[1]);
-                isMate = true;
-            } else {
-                return;
-            }
-
-            const pv = pvMatch ? pvMatch[1].trim() : null;
-            const bestMove = pv ? pv.split(' ')[0] : null;
-
-            this._currentDepth = depth;
-            this._currentScore = score;
-            this._currentIsMate = isMate;
-            if (bestMove) this._currentBestMove = bestMove;
-            if (pv) this._currentPv = pv;
-
-            // Live callback
-            if (this.onUpdate) {
-                this.onUpdate({ depth, score, isMate, bestMove: bestMove || '—', pv: pv || '' });
-            }
-        }
-
-        // "bestmove" signals the engine finished searching
-        if (line.startsWith('bestmove')) {
-            const bm = line.split(' ')[1];
-            if (bm && bm !== '(none)') this._currentBestMove = bm;
-
-            // ONLY resolve the promise if this bestmove was triggered by evalAsync
-            // We use a flag to track if we're in an async search vs continuous eval
-            if (this._isAsyncSearch && this._resolveEval) {
-                const resolve = this._resolveEval;
-                this._resolveEval = null;
-                this._isAsyncSearch = false;
-                if (this._evalTimeout) { clearTimeout(this._evalTimeout); this._evalTimeout = null; }
-                resolve({
-                    depth: this._currentDepth,
-                    score: this._currentScore,
-                    isMate: this._currentIsMate,
-                    bestMove: this._currentBestMove,
-                    pv: this._currentPv
-                });
-            }
-        }
-    }
-
-    /** Live evaluation (fire and forget, results via onUpdate callback) */
-    evaluate(fen, depth = 14) {
-        if (!this.worker) return;
-        if (!this.ready) {
-            const self = this;
-            const check = setInterval(() => {
-                if (self.ready) { clearInterval(check); self._doEval(fen, depth); }
-            }, 200);
-            return;
-        }
-        this._doEval(fen, depth);
-    }
-
-    _doEval(fen, depth) {
-        this.worker.postMessage('stop');
-        this.worker.postMessage('position fen ' + fen);
-        this.worker.postMessage('go depth ' + depth);
-    }
-
-    evalAsync(fen, depth = 12) {
-        return new Promise((resolve) => {
-            const waitReady = () => {
-                this._isAsyncSearch = true; // Mark this as a blocking search
-                this._resolveEval = resolve;
-                this._currentBestMove = null;
-                this._currentScore = 0;
-                this._currentIsMate = false;
-                this._currentDepth = 0;
-
-                // Safety timeout — resolve with whatever we have after 10s
-                this._evalTimeout = setTimeout(() => {
-                    if (this._resolveEval) {
-                        const r = this._resolveEval;
-                        this._resolveEval = null;
-                        this._isAsyncSearch = false;
-                        this.worker.postMessage('stop');
-                        r({
-                            depth: this._currentDepth,
-                            score: this._currentScore,
-                            isMate: this._currentIsMate,
-                            bestMove: this._currentBestMove,
-                            pv: this._currentPv
-                        });
-                    }
-                }, 10000);
-
-                this.worker.postMessage('stop');
-                this.worker.postMessage('position fen ' + fen);
-                this.worker.postMessage('go depth ' + depth);
-            };
-
-            if (!this.ready) {
-                const check = setInterval(() => {
-                    if (this.ready) { clearInterval(check); waitReady(); }
-                }, 200);
-            } else {
-                waitReady();
-            }
-        });
-    }
-
-    stop() {
-        if (this.worker) this.worker.postMessage('stop');
-    }
-
-    setOption(name, value) {
-        if (this.worker) this.worker.postMessage(`setoption name ${name} value ${value}`);
-    }
-}
+/**
+ * Stockfish Engine Web Worker wrapper.
+ * Supports both live evaluation and batch position analysis.
+ *
+ * Every search is a job with an id. Jobs run one at a time from a queue; a job that
+ * is cancelled or times out is stopped, and the `info`/`bestmove` lines it still
+ * emits are discarded so they can never be attributed to the next search.
+ */
+class Engine {
+    constructor(onUpdate) {
+        this.onUpdate = onUpdate;
+        this.ready = false;
+        this.worker = null;
+        this._multiPv = 1;
+        this._chess960 = false;
+        this._nextJobId = 1;
+        this._queue = [];           // jobs waiting for the worker
+        this._job = null;           // job the worker is searching (or winding down)
+        this._init();
+    }
+
+    _init() {
+        try {
+            this.worker = new Worker('js/stockfish-worker.js');
+            this.worker.addEventListener('message', (e) => this._onMessage(e.data));
+            this.worker.addEventListener('error', (err) => {
+                console.error('Stockfish worker error:', err.message || err);
+            });
+            setTimeout(() => {
+                if (this.worker) this.worker.postMessage('uci');
+            }, 500);
+        } catch (err) {
+            console.error('Could not create Stockfish worker:', err);
+        }
+    }
+
+    _onMessage(line) {
+        if (typeof line !== 'string') return;
+
+        if (line === 'uciok') {
+            this.worker.postMessage('isready');
+        }
+
+        if (line === 'readyok') {
+            this.ready = true;
+            console.log('Stockfish engine ready.');
+            this._pump();
+        }
+
+        const job = this._job;
+
+        if (line.startsWith('info') && line.includes(' score ')) {
+            // Late output of a cancelled / timed-out search belongs to nobody
+            if (!job || job.settled) return;
+
+            const depthMatch = line.match(/\bdepth\s+(\d+)/);
+            const cpMatch = line.match(/\bscore\s+cp\s+(-?\d+)/);
+            const mateMatch = line.match(/\bscore\s+mate\s+(-?\d+)/);
+            const pvMatch = line.match(/\bpv\s+(.*)$/);
+            const multiPvMatch = line.match(/\bmultipv\s+(\d+)/);
+
+            if (!depthMatch) return;
+            const depth = parseInt(depthMatch[1]);
+            const rank = multiPvMatch ? parseInt(multiPvMatch[1]) : 1;
+
+            let score = 0;
+            let isMate = false;
+
+            if (cpMatch) {
+                score = parseInt(cpMatch[1]) / 100;
+            } else if (mateMatch) {
+                score = parseInt(mateMatch[1]);
+                isMate = true;
+            } else {
+                return;
+            }
+
+            const pv = pvMatch ? pvMatch[1].trim() : null;
+            const bestMove = pv ? pv.split(' ')[0] : null;
+
+            job.lines[rank - 1] = { depth, score, isMate, bestMove, pv: pv || '' };
+
+            // Secondary lines only feed the ranked list, never the headline eval
+            if (rank > 1) return;
+
+            job.depth = depth;
+            job.score = score;
+            job.isMate = isMate;
+            if (bestMove) job.bestMove = bestMove;
+            if (pv) job.pv = pv;
+
+            // Live callback
+            if (job.live && this.onUpdate) {
+                this.onUpdate({ depth, score, isMate, bestMove: bestMove || '—', pv: pv || '' });
+            }
+        }
+
+        // "bestmove" signals the engine finished searching
+        if (line.startsWith('bestmove')) {
+            if (!job) return;
+            this._job = null;
+
+            if (!job.settled) {
+                const bm = line.split(' ')[1];
+                if (bm && bm !== '(none)') job.bestMove = bm;
+                this._settle(job);
+                job.resolve(this._buildResult(job));
+            }
+            this._pump();
+        }
+    }
+
+    /**
+     * Snapshot of a job's search. `lines` holds the ranked MultiPV lines
+     * (best first); the top-level fields mirror the first line.
+     */
+    _buildResult(job) {
+        // Drop lines left over from a shallower iteration than the main line
+        const lines = job.lines.filter(l => l && l.depth >= job.depth);
+        return {
+            id: job.id,
+            depth: job.depth,
+            score: job.score,
+            isMate: job.isMate,
+            bestMove: job.bestMove,
+            pv: job.pv,
+            lines: lines
+        };
+    }
+
+    _setMultiPv(count) {
+        if (count === this._multiPv) return;
+        this._multiPv = count;
+        this.worker.postMessage('setoption name MultiPV value ' + count);
+    }
+
+    /** UCI_Chess960 makes Stockfish read X-FEN castling rights and report castling as king-takes-rook */
+    _setChess960(enabled) {
+        if (enabled === this._chess960) return;
+        this._chess960 = enabled;
+        this.worker.postMessage('setoption name UCI_Chess960 value ' + enabled);
+    }
+
+    /** Mark a job finished; its remaining engine output will be ignored */
+    _settle(job) {
+        job.settled = true;
+        if (job.timeout) { clearTimeout(job.timeout); job.timeout = null; }
+        if (job.signal && job.onAbort) job.signal.removeEventListener('abort', job.onAbort);
+    }
+
+    /** Start the next queued job once the worker is idle */
+    _pump() {
+        if (!this.ready || !this.worker || this._job || this._queue.length === 0) return;
+        const job = this._queue.shift();
+        this._job = job;
+
+        // Safety timeout — resolve with whatever we have after 10s
+        if (!job.live) {
+            job.timeout = setTimeout(() => {
+                if (job.settled) return;
+                this._settle(job);
+                this.worker.postMessage('stop');
+                job.resolve(this._buildResult(job));
+            }, 10000);
+        }
+
+        this._setMultiPv(job.multiPv);
+        this._setChess960(job.chess960);
+        if (job.fresh) this.worker.postMessage('ucinewgame');
+        this.worker.postMessage('position fen ' + job.fen);
+        this.worker.postMessage('go depth ' + job.targetDepth);
+    }
+
+    _enqueue(fen, depth, opts, live, resolve, reject) {
+        const job = {
+            id: this._nextJobId++,
+            fen: fen,
+            targetDepth: depth,
+            multiPv: opts.multiPv || 1,
+            fresh: !!opts.fresh,
+            chess960: !!opts.chess960,
+            live: live,
+            signal: opts.signal || null,
+            resolve: resolve,
+            reject: reject,
+            settled: false,
+            timeout: null,
+            depth: 0,
+            score: 0,
+            isMate: false,
+            bestMove: null,
+            pv: null,
+            lines: []
+        };
+
+        if (job.signal) {
+            if (job.signal.aborted) {
+                job.settled = true;
+                reject(Engine.abortError());
+                return job;
+            }
+            job.onAbort = () => this.cancel(job.id);
+            job.signal.addEventListener('abort', job.onAbort);
+        }
+
+        this._queue.push(job);
+        this._pump();
+        return job;
+    }
+
+    /**
+     * Cancel a queued or running search. Its promise rejects with an AbortError
+     * and any output it still produces is discarded.
+     */
+    cancel(id) {
+        const queued = this._queue.findIndex(j => j.id === id);
+        if (queued !== -1) {
+            const [job] = this._queue.splice(queued, 1);
+            this._settle(job);
+            job.reject(Engine.abortError());
+            return;
+        }
+        const job = this._job;
+        if (job && job.id === id && !job.settled) {
+            this._settle(job);
+            this.worker.postMessage('stop');
+            job.reject(Engine.abortError());
+        }
+    }
+
+    static abortError() {
+        return new DOMException('Engine search cancelled', 'AbortError');
+    }
+
+    /**
+     * Live evaluation (fire and forget, results via onUpdate callback).
+     * Replaces any live search still queued or running.
+     * @param {Object} [opts] - `chess960` as for evalAsync
+     * @returns {{id: number, cancel: Function}|null}
+     */
+    evaluate(fen, depth = 14, opts = {}) {
+        if (!this.worker) return null;
+        this.stop();
+        // Live results arrive through onUpdate; the promise only reports completion
+        const job = this._enqueue(fen, depth, { chess960: opts.chess960 }, true, () => { }, () => { });
+        return { id: job.id, cancel: () => this.cancel(job.id) };
+    }
+
+    /**
+     * Search a position to a fixed depth and resolve with the final result.
+     * @param {string} fen
+     * @param {number} depth
+     * @param {Object} [opts]
+     * @param {number} [opts.multiPv=1] - number of ranked lines to return in `lines`
+     * @param {boolean} [opts.fresh=false] - clear the hash first so the result doesn't depend on earlier searches
+     * @param {boolean} [opts.chess960=false] - search under Chess960 castling rules
+     * @param {AbortSignal} [opts.signal] - aborting rejects the promise with an AbortError
+     */
+    evalAsync(fen, depth = 12, opts = {}) {
+        return new Promise((resolve, reject) => {
+            if (!this.worker) return reject(new Error('Stockfish worker unavailable'));
+            this._enqueue(fen, depth, opts, false, resolve, reject);
+        });
+    }
+
+    /** Cancel live evaluation (batch searches keep their place in the queue) */
+    stop() {
+        this._queue.filter(j => j.live).forEach(j => this.cancel(j.id));
+        if (this._job && this._job.live) this.cancel(this._job.id);
+    }
+
+    /** Shut the worker down for good (used when an EnginePool is resized) */
+    terminate() {
+        [...this._queue, this._job].forEach(job => {
+            if (job && !job.settled) { this._settle(job); job.reject(Engine.abortError()); }
+        });
+        this._queue = [];
+        this._job = null;
+        if (this.worker) this.worker.terminate();
+        this.worker = null;
+        this.ready = false;
+    }
+
+    setOption(name, value) {
+        if (this.worker) this.worker.postMessage(`setoption name ${name} value ${value}`);
+    }
+}
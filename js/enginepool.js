@@ -0,0 +1,73 @@
+/**
+ * EnginePool — several Stockfish workers for batch analysis.
+ * Offers the same evalAsync() as Engine and hands each search to the next idle worker,
+ * so independent positions are searched in parallel.
+ */
+class EnginePool {
+    /** Default worker count: one per core, leaving a core for the UI and the live engine */
+    static defaultSize() {
+        const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2;
+        return Math.max(1, cores - 1);
+    }
+
+    constructor(size) {
+        this.size = Math.max(1, size || EnginePool.defaultSize());
+        this.engines = [];
+        this._idle = [];
+        this._waiting = [];   // searches waiting for a free worker: { resolve, reject, signal }
+        for (let i = 0; i < this.size; i++) {
+            const engine = new Engine(null);
+            this.engines.push(engine);
+            this._idle.push(engine);
+        }
+    }
+
+    _acquire(signal) {
+        if (signal && signal.aborted) return Promise.reject(Engine.abortError());
+        if (this._idle.length > 0) return Promise.resolve(this._idle.shift());
+        return new Promise((resolve, reject) => {
+            const waiter = { resolve, reject, signal };
+            if (signal) {
+                waiter.onAbort = () => {
+                    this._waiting = this._waiting.filter(w => w !== waiter);
+                    reject(Engine.abortError());
+                };
+                signal.addEventListener('abort', waiter.onAbort, { once: true });
+            }
+            this._waiting.push(waiter);
+        });
+    }
+
+    _release(engine) {
+        if (!this.engines.includes(engine)) return; // pool was terminated meanwhile
+        const next = this._waiting.shift();
+        if (next) {
+            if (next.signal) next.signal.removeEventListener('abort', next.onAbort);
+            next.resolve(engine);
+        } else {
+            this._idle.push(engine);
+        }
+    }
+
+    /** Same contract as Engine.evalAsync, including `opts.signal` */
+    async evalAsync(fen, depth = 12, opts = {}) {
+        const engine = await this._acquire(opts.signal);
+        try {
+            return await engine.evalAsync(fen, depth, opts);
+        } finally {
+            this._release(engine);
+        }
+    }
+
+    setOption(name, value) {
+        this.engines.forEach(e => e.setOption(name, value));
+    }
+
+    terminate() {
+        this.engines.forEach(e => e.terminate());
+        this._waiting.forEach(w => w.reject(Engine.abortError()));
+        this.engines = [];
+        this._idle = [];
+        this._waiting = [];
+    }
+}
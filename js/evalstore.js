@@ -0,0 +1,289 @@
+/**
+ * AnalysisStore — IndexedDB cache of engine results, one record per position.
+ *
+ * Records are keyed by a normalized FEN (no move counters, en-passant square only
+ * when a capture is actually possible), so the same position reached in another
+ * game or by another move order is found again. Only the deepest search seen for
+ * a position is kept, and it answers every request at or below that depth.
+ * Least-recently-used records are evicted once the store grows past `maxEntries`.
+ *
+ * Finished reviews are kept alongside, one review document (reviewfile.js) per game and depth,
+ * and so are players' trend records (trends.js) and the game archives ChessAPI fetched,
+ * for when the network is down.
+ *
+ * Without IndexedDB (private browsing, Node) the store simply never hits.
+ */
+class AnalysisStore {
+    constructor(opts = {}) {
+        this.dbName = opts.dbName || 'chess_analysis';
+        this.maxEntries = opts.maxEntries || 50000;
+        this._db = null;
+        this._writes = 0;
+    }
+
+    /**
+     * Position key: placement, side to move, castling and a *usable* en-passant square.
+     * chess.js records the square after every double push, which would otherwise split
+     * identical positions. Chess960 searches are kept apart: their castling moves read differently.
+     */
+    static key(fen, chess960 = false) {
+        const parts = fen.split(' ');
+        let ep = parts[3] || '-';
+        if (ep !== '-') {
+            try {
+                const canCapture = new Chess(fen).moves({ verbose: true }).some(m => m.flags.includes('e'));
+                if (!canCapture) ep = '-';
+            } catch (e) { }
+        }
+        const key = [parts[0], parts[1], parts[2] || '-', ep].join(' ');
+        return chess960 ? key + ' 960' : key;
+    }
+
+    _open() {
+        if (!this._db) {
+            this._db = new Promise((resolve) => {
+                if (typeof indexedDB === 'undefined') return resolve(null);
+                const request = indexedDB.open(this.dbName, 4);
+                request.onupgradeneeded = (e) => {
+                    const db = request.result;
+                    if (e.oldVersion < 1) {
+                        const store = db.createObjectStore('positions', { keyPath: 'key' });
+                        store.createIndex('lastUsed', 'lastUsed');
+                    }
+                    if (e.oldVersion < 2) db.createObjectStore('reviews', { keyPath: 'id' });
+                    if (e.oldVersion < 3) db.createObjectStore('trends', { keyPath: 'id' });
+                    if (e.oldVersion < 4) db.createObjectStore('archives', { keyPath: 'url' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    console.warn('Analysis cache unavailable:', request.error);
+                    resolve(null);
+                };
+            });
+        }
+        return this._db;
+    }
+
+    /** Run `fn(store)` in a transaction and resolve with the value it sets on `ctx.result` */
+    async _transaction(mode, fn, storeName = 'positions') {
+        const db = await this._open();
+        if (!db) return null;
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeName, mode);
+            const ctx = { result: null };
+            fn(tx.objectStore(storeName), ctx);
+            tx.oncomplete = () => resolve(ctx.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    /**
+     * Stored result for a position if it was searched to at least `depth`
+     * with at least `multiPv` lines, otherwise null. A hit counts as a use for LRU.
+     */
+    async get(fen, depth, multiPv = 1, chess960 = false) {
+        const key = AnalysisStore.key(fen, chess960);
+        try {
+            return await this._transaction('readwrite', (store, ctx) => {
+                const request = store.get(key);
+                request.onsuccess = () => {
+                    const record = request.result;
+                    if (!record || record.depth < depth || record.lines.length < Math.min(multiPv, record.legalMoves)) return;
+                    record.lastUsed = Date.now();
+                    store.put(record);
+                    ctx.result = record;
+                };
+            });
+        } catch (err) {
+            console.warn('Analysis cache read failed:', err);
+            return null;
+        }
+    }
+
+    /**
+     * Save an Engine result unless the stored one is already deeper (or as deep with more lines).
+     * @param {string} fen
+     * @param {Object} result - as resolved by Engine.evalAsync
+     * @param {number} legalMoves - caps how many lines this position can ever have
+     * @param {boolean} [chess960=false] - searched with UCI_Chess960
+     */
+    async put(fen, result, legalMoves, chess960 = false) {
+        if (!result || !result.depth) return;
+        const key = AnalysisStore.key(fen, chess960);
+        const lines = result.lines || [];
+        try {
+            await this._transaction('readwrite', (store) => {
+                const request = store.get(key);
+                request.onsuccess = () => {
+                    const old = request.result;
+                    if (old && (old.depth > result.depth || (old.depth === result.depth && old.lines.length >= lines.length))) {
+                        old.lastUsed = Date.now();
+                        store.put(old);
+                        return;
+                    }
+                    store.put({
+                        key: key,
+                        depth: result.depth,
+                        score: result.score,
+                        isMate: result.isMate,
+                        bestMove: result.bestMove,
+                        pv: result.pv,
+                        lines: lines,
+                        legalMoves: legalMoves,
+                        lastUsed: Date.now()
+                    });
+                };
+            });
+        } catch (err) {
+            console.warn('Analysis cache write failed:', err);
+            return;
+        }
+
+        // Checking the size on every write would double the work; every 100 is plenty
+        if (++this._writes % 100 === 0) await this.evict();
+    }
+
+    /** Drop least-recently-used records until the store is back under 90% of maxEntries */
+    async evict() {
+        try {
+            await this._transaction('readwrite', (store) => {
+                const countRequest = store.count();
+                countRequest.onsuccess = () => {
+                    if (countRequest.result <= this.maxEntries) return;
+                    let excess = countRequest.result - Math.floor(this.maxEntries * 0.9);
+                    store.index('lastUsed').openCursor().onsuccess = (e) => {
+                        const cursor = e.target.result;
+                        if (!cursor || excess-- <= 0) return;
+                        cursor.delete();
+                        cursor.continue();
+                    };
+                };
+            });
+        } catch (err) {
+            console.warn('Analysis cache eviction failed:', err);
+        }
+    }
+
+    /** Number of positions stored */
+    async count() {
+        return (await this._transaction('readonly', (store, ctx) => {
+            const request = store.count();
+            request.onsuccess = () => { ctx.result = request.result; };
+        })) || 0;
+    }
+
+    /** Saved review document, or null */
+    async getReview(id) {
+        try {
+            return await this._transaction('readonly', (store, ctx) => {
+                const request = store.get(id);
+                request.onsuccess = () => { ctx.result = request.result ? request.result.review : null; };
+            }, 'reviews');
+        } catch (err) {
+            console.warn('Review cache read failed:', err);
+            return null;
+        }
+    }
+
+    /**
+     * Save a review document under `id` (see reviewId), replacing any earlier one.
+     * @returns {Promise<boolean>} false when it couldn't be stored
+     */
+    async putReview(id, review) {
+        try {
+            return await this._transaction('readwrite', (store, ctx) => {
+                store.put({ id: id, review: review, saved: Date.now() });
+                ctx.result = true;
+            }, 'reviews') || false;
+        } catch (err) {
+            console.warn('Review cache write failed:', err);
+            return false;
+        }
+    }
+
+    /** A player's trend record (see trends.js), or null */
+    async getTrend(id) {
+        try {
+            return await this._transaction('readonly', (store, ctx) => {
+                const request = store.get(id);
+                request.onsuccess = () => { ctx.result = request.result || null; };
+            }, 'trends');
+        } catch (err) {
+            console.warn('Trend read failed:', err);
+            return null;
+        }
+    }
+
+    /** Save a player's trend record, replacing the stored one */
+    async putTrend(record) {
+        try {
+            await this._transaction('readwrite', (store) => store.put(record), 'trends');
+        } catch (err) {
+            console.warn('Trend write failed:', err);
+        }
+    }
+
+    /** A response ChessAPI saved for `url`, as {data, saved}, or null */
+    async getArchive(url) {
+        try {
+            return await this._transaction('readonly', (store, ctx) => {
+                const request = store.get(url);
+                request.onsuccess = () => { ctx.result = request.result ? { data: request.result.data, saved: request.result.saved } : null; };
+            }, 'archives');
+        } catch (err) {
+            console.warn('Archive cache read failed:', err);
+            return null;
+        }
+    }
+
+    /** Save a response ChessAPI fetched from `url`, replacing the stored one */
+    async putArchive(url, data) {
+        try {
+            await this._transaction('readwrite', (store) => store.put({ url: url, data: data, saved: Date.now() }), 'archives');
+        } catch (err) {
+            console.warn('Archive cache write failed:', err);
+        }
+    }
+
+    /** Drop cached positions and saved reviews; players' trends and fetched archives stay */
+    async clear() {
+        await this._transaction('readwrite', (store) => store.clear());
+        await this._transaction('readwrite', (store) => store.clear(), 'reviews');
+    }
+}
+
+/**
+ * Engine front that answers from an AnalysisStore when it can and records every
+ * fresh search. Offers the same evalAsync() as Engine / EnginePool.
+ */
+class CachedEvaluator {
+    constructor(engine, store) {
+        this.engine = engine;
+        this.store = store;
+    }
+
+    async evalAsync(fen, depth = 12, opts = {}) {
+        const multiPv = opts.multiPv || 1;
+        const chess960 = !!opts.chess960;
+        const cached = await this.store.get(fen, depth, multiPv, chess960);
+        if (opts.signal && opts.signal.aborted) throw Engine.abortError();
+        if (cached) {
+            return {
+                id: null,
+                depth: cached.depth,
+                score: cached.score,
+                isMate: cached.isMate,
+                bestMove: cached.bestMove,
+                pv: cached.pv,
+                lines: cached.lines.slice(0, multiPv),
+                cached: true
+            };
+        }
+
+        const result = await this.engine.evalAsync(fen, depth, opts);
+        const legalMoves = createGame(fen, chess960).moves().length;
+        await this.store.put(fen, result, legalMoves, chess960);
+        return result;
+    }
+}
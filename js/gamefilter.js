@@ -0,0 +1,127 @@
+/**
+ * Games list filters — what the fetched games list can be narrowed by, worked out
+ * from each game object (Chess.com-shaped, see ChessAPI) from the fetching player's side.
+ *
+ * Openings come from getOpening over the game's moves. That replays the opening with
+ * chess.js, which is too slow to do for hundreds of games at once, so findGameOpenings
+ * works through a list in the background and gameOpening is undefined until then.
+ */
+
+/** Results that count as a draw on Chess.com (Lichess draws are mapped to "agreed") */
+const DRAW_RESULTS = ['agreed', 'stalemate', 'repetition', 'insufficient', '50move', 'timevsinsufficient'];
+
+/** Games whose opening is known: game → {eco, name}|null */
+const gameOpenings = new WeakMap();
+
+/**
+ * The player's colour and result in a game.
+ * @returns {{color: 'w'|'b'|null, result: 'win'|'draw'|'loss'|null}} nulls when `username` didn't play it
+ */
+function playerResult(g, username) {
+    const user = (username || '').toLowerCase();
+    const w = (g.white?.username || '').toLowerCase();
+    const b = (g.black?.username || '').toLowerCase();
+    const color = w === user ? 'w' : (b === user ? 'b' : null);
+    if (!color) return { color: null, result: null };
+
+    const own = color === 'w' ? g.white.result : g.black.result;
+    if (own === 'win') return { color, result: 'win' };
+    if (DRAW_RESULTS.includes(own) || DRAW_RESULTS.includes(g.white?.result)) return { color, result: 'draw' };
+    return { color, result: 'loss' };
+}
+
+/** Opening of a game (undefined until findGameOpenings has got to it, null when it has none) */
+function gameOpening(g) {
+    return gameOpenings.get(g);
+}
+
+/** Opening family, the name before the variation ("Sicilian Defense: Najdorf Variation" → "Sicilian Defense") */
+function openingFamily(opening) {
+    return opening ? opening.name.split(':')[0].trim() : null;
+}
+
+function computeGameOpening(g) {
+    if (!g.pgn || (g.rules && g.rules !== 'chess')) return null; // the ECO database is standard chess only
+    const headers = parsePGNHeaders(g.pgn);
+    const opening = getOpening(parseMovetext(g.pgn).sans, headers.SetUp === '1' ? headers.FEN : undefined);
+    return opening ? { eco: opening.eco, name: opening.name } : null;
+}
+
+/**
+ * Find the openings of games that don't have one yet, a few at a time so the page stays responsive.
+ * @param {Array} games
+ * @param {Function} [onProgress] - called with (gamesDone, total) after each chunk
+ * @param {AbortSignal} [signal] - stops between chunks
+ */
+async function findGameOpenings(games, onProgress, signal) {
+    const todo = games.filter(g => !gameOpenings.has(g));
+    for (let i = 0; i < todo.length; i++) {
+        if (signal && signal.aborted) return;
+        try {
+            gameOpenings.set(todo[i], computeGameOpening(todo[i]));
+        } catch (e) {
+            gameOpenings.set(todo[i], null);
+        }
+        if (i % 5 === 4 || i === todo.length - 1) {
+            if (onProgress) onProgress(i + 1, todo.length);
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+    }
+}
+
+/** Empty filter: every game matches */
+function createGameFilter() {
+    return { text: '', timeClass: '', color: '', result: '', opponent: '', minRating: null, maxRating: null, opening: '' };
+}
+
+/**
+ * Does a game pass the filter, seen from `username`'s side?
+ * Colour, result, opponent and rating range need the player to be in the game; the
+ * rating range applies to the opponent's rating. A game whose opening isn't known
+ * yet fails an opening filter.
+ */
+function matchesGameFilter(g, filter, username) {
+    if (filter.timeClass && g.time_class !== filter.timeClass) return false;
+
+    const { color, result } = playerResult(g, username);
+    if (filter.color && color !== filter.color) return false;
+    if (filter.result && result !== filter.result) return false;
+
+    const opponent = color === 'w' ? g.black : (color === 'b' ? g.white : null);
+    if (filter.opponent && !(opponent && (opponent.username || '').toLowerCase().includes(filter.opponent.toLowerCase()))) {
+        return false;
+    }
+    if (filter.minRating !== null || filter.maxRating !== null) {
+        const rating = opponent ? opponent.rating : undefined;
+        if (typeof rating !== 'number') return false;
+        if (filter.minRating !== null && rating < filter.minRating) return false;
+        if (filter.maxRating !== null && rating > filter.maxRating) return false;
+    }
+
+    const opening = gameOpening(g);
+    if (filter.opening && openingFamily(opening) !== filter.opening) return false;
+
+    if (filter.text) {
+        const date = g.end_time ? new Date(g.end_time * 1000).toLocaleDateString() : (g.date || '');
+        const haystack = [g.white?.username, g.black?.username, g.time_class, g.event, date,
+            opening ? `${opening.eco} ${opening.name}` : ''].join(' ').toLowerCase();
+        if (!filter.text.toLowerCase().split(/\s+/).filter(Boolean).every(word => haystack.includes(word))) return false;
+    }
+    return true;
+}
+
+/**
+ * Values present in a list of games for the filter drop-downs, most common first.
+ * @returns {{timeClasses: string[], openings: string[]}}
+ */
+function gameFilterOptions(games) {
+    const byCount = (values) => {
+        const counts = new Map();
+        values.filter(Boolean).forEach(v => counts.set(v, (counts.get(v) || 0) + 1));
+        return [...counts.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])).map(([v]) => v);
+    };
+    return {
+        timeClasses: byCount(games.map(g => g.time_class)),
+        openings: byCount(games.map(g => openingFamily(gameOpening(g))))
+    };
+}
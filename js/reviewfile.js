@@ -0,0 +1,198 @@
+/**
+ * Review files — a finished review as a versioned JSON document, for export/import
+ * and for the saved reviews in AnalysisStore:
+ *
+ *   {
+ *     "format": "chess-review",
+ *     "version": 1,
+ *     "createdAt": "2026-01-31T12:00:00.000Z",
+ *     "game": {
+ *       "headers": { "White": "…", "Black": "…", … },   PGN tag pairs
+ *       "variant": "standard" | "chess960",
+ *       "startFen": "…",                                 position before the first move
+ *       "pgn": "…"                                       the game without annotations ([%clk] kept)
+ *     },
+ *     "engine": {
+ *       "name": "Stockfish",
+ *       "depth": 14,                                     search depth per position
+ *       "multiPv": 2,                                    lines searched per position
+ *       "model": { … }                                   CLASSIFICATION_MODEL the moves were classified with
+ *     },
+ *     "moves": [
+ *       {
+ *         "ply": 1, "color": "w", "san": "e4",
+ *         "fen": "…",                                    position after the move
+ *         "clock": 179.9, "timeSpent": 0.1,              seconds, null without clock data
+ *         "classification": { "key": "book", "cpLoss": 0.1, "epLoss": 0.004, "evalBefore": 0.2,
+ *                             "evalAfter": 0.1, "engineBest": "e2e4", "enginePv": [ … ],
+ *                             "tags": [ … ], "phase": "opening", "opening": { … }, "hungPiece": null, … }
+ *       }, …
+ *     ]
+ *   }
+ *
+ * `classification` holds what analyzeFullGame produced, minus the fields that follow
+ * from its key (label, color, icon). Documents from older versions are upgraded on import.
+ */
+const REVIEW_FORMAT = 'chess-review';
+const REVIEW_FORMAT_VERSION = 1;
+
+/** Lines analyzeFullGame searches per position (see evaluatePositions) */
+const REVIEW_MULTI_PV = 2;
+
+/**
+ * Upgrades from each older version to the next; `REVIEW_UPGRADES[n]` turns a version
+ * n document into version n + 1.
+ */
+const REVIEW_UPGRADES = {};
+
+/** Prefix of the whole-game results older versions of the app kept in localStorage */
+const LEGACY_REVIEW_PREFIX = 'chess_analysis_v1_';
+
+/**
+ * Review document for the game loaded in `logic` and its classifications.
+ * @param {ChessLogic} logic
+ * @param {Object} settings
+ * @param {number} settings.depth - search depth the classifications came from
+ * @param {Object} [settings.model=CLASSIFICATION_MODEL]
+ */
+function buildReviewDocument(logic, settings) {
+    const classifications = packClassifications(logic.classifications);
+    return {
+        format: REVIEW_FORMAT,
+        version: REVIEW_FORMAT_VERSION,
+        createdAt: new Date().toISOString(),
+        game: {
+            headers: { ...logic.headers },
+            variant: logic.chess960 ? 'chess960' : 'standard',
+            startFen: logic.fens[0],
+            pgn: buildAnnotatedPGN(logic, { annotate: false })
+        },
+        engine: {
+            name: 'Stockfish',
+            depth: settings.depth,
+            multiPv: REVIEW_MULTI_PV,
+            model: settings.model || CLASSIFICATION_MODEL
+        },
+        moves: logic.sans.map((san, i) => ({
+            ply: i + 1,
+            color: logic.squares[i].color,
+            san: san,
+            fen: logic.fens[i + 1],
+            clock: logic.clocks[i] !== undefined ? logic.clocks[i] : null,
+            timeSpent: logic.timeSpent[i] !== undefined ? logic.timeSpent[i] : null,
+            classification: classifications[i] || null
+        }))
+    };
+}
+
+/**
+ * Check a review document (parsed or as JSON text) and bring it up to the current version.
+ * @returns {Object} the document in the current version
+ * @throws {Error} when it isn't a review document or comes from a newer version
+ */
+function parseReviewDocument(input) {
+    let doc = input;
+    if (typeof input === 'string') {
+        try {
+            doc = JSON.parse(input);
+        } catch (e) {
+            throw new Error('Not a JSON file');
+        }
+    }
+    if (!doc || doc.format !== REVIEW_FORMAT || !Number.isInteger(doc.version)) {
+        throw new Error('Not a review file');
+    }
+    if (doc.version > REVIEW_FORMAT_VERSION) {
+        throw new Error(`Review file version ${doc.version} is newer than this app supports (${REVIEW_FORMAT_VERSION})`);
+    }
+    while (doc.version < REVIEW_FORMAT_VERSION) {
+        const upgrade = REVIEW_UPGRADES[doc.version];
+        if (!upgrade) throw new Error(`Review file version ${doc.version} can no longer be read`);
+        doc = { ...upgrade(doc), version: doc.version + 1 };
+    }
+    if (!doc.game || typeof doc.game.pgn !== 'string' || !Array.isArray(doc.moves)) {
+        throw new Error('Review file is incomplete');
+    }
+    return doc;
+}
+
+/**
+ * Classifications of a review document, with their derived fields restored and the
+ * rest checked (see unpackClassifications).
+ * @throws {Error} when a move's classification isn't one this app knows
+ */
+function reviewClassifications(doc) {
+    const packed = doc.moves.map(move => move.classification);
+    if (packed.some(cls => !cls)) return []; // a partial review is treated as no review
+    const classifications = unpackClassifications(packed);
+    if (classifications.length !== packed.length) throw new Error('Review file has unknown move classifications');
+    return classifications;
+}
+
+/**
+ * Key a review is saved under: the game's moves from its start position, and the depth.
+ * @param {{startFen: string, variant: string, sans: string[], depth: number}} game
+ */
+function reviewId(game) {
+    return [game.variant, game.depth, game.startFen, game.sans.join(' ')].join('|');
+}
+
+/** reviewId of a review document */
+function reviewDocumentId(doc) {
+    return reviewId({
+        variant: doc.game.variant,
+        depth: doc.engine.depth,
+        startFen: doc.game.startFen,
+        sans: doc.moves.map(move => move.san)
+    });
+}
+
+/**
+ * Review document from an old `chess_analysis_v1_<depth>_<san|san|…>` localStorage entry.
+ * Those were standard games from the initial position, without headers or clocks.
+ * @returns {Object|null} null when the entry can't be read or replayed
+ */
+function reviewFromLegacyEntry(key, value) {
+    const match = key.match(/^chess_analysis_v1_(\d+)_(.*)$/);
+    if (!match) return null;
+    let classifications;
+    try {
+        classifications = JSON.parse(value);
+    } catch (e) {
+        return null;
+    }
+    const sans = match[2] ? match[2].split('|') : [];
+    if (!Array.isArray(classifications) || sans.length === 0 || classifications.length !== sans.length) return null;
+
+    const logic = new ChessLogic();
+    if (!logic.loadPGN(sans.map((san, i) => (i % 2 === 0 ? `${i / 2 + 1}. ${san}` : san)).join(' '))) return null;
+    if (logic.sans.length !== sans.length) return null;
+    logic.classifications = classifications;
+    return buildReviewDocument(logic, { depth: parseInt(match[1], 10) });
+}
+
+/**
+ * Move old localStorage reviews into the store as review documents, removing each
+ * entry once it's saved (entries that can't be read are dropped too).
+ * @param {Storage} storage
+ * @param {AnalysisStore} store
+ * @returns {Promise<number>} reviews migrated
+ */
+async function migrateLegacyReviews(storage, store) {
+    const keys = [];
+    for (let i = 0; i < storage.length; i++) {
+        const key = storage.key(i);
+        if (key && key.startsWith(LEGACY_REVIEW_PREFIX)) keys.push(key);
+    }
+
+    let migrated = 0;
+    for (const key of keys) {
+        const doc = reviewFromLegacyEntry(key, storage.getItem(key));
+        if (doc) {
+            if (!(await store.putReview(reviewDocumentId(doc), doc))) continue; // no IndexedDB: keep the entry
+            migrated++;
+        }
+        storage.removeItem(key);
+    }
+    return migrated;
+}
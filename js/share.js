@@ -0,0 +1,164 @@
+/**
+ * Review permalinks — a finished review packed into the URL fragment, so a link
+ * reopens it (moves, classifications, explanations) without searching again:
+ *
+ *   #review=<payload>[&move=<n>]
+ *
+ * The payload is JSON, deflated with CompressionStream where the browser has it
+ * ("z" prefix) or left as is ("j"), then base64url-encoded. `move` is the mainline
+ * position to open at. Nothing leaves the browser: fragments aren't sent to servers.
+ */
+const REVIEW_LINK_VERSION = 1;
+
+/** Fields every classification gets back from CLASSIFICATION by its key */
+const DERIVED_CLASSIFICATION_FIELDS = ['label', 'color', 'icon'];
+
+/** Classifications without derived fields and with floats trimmed, for a short link */
+function packClassifications(classifications) {
+    return classifications.map(cls => {
+        const packed = {};
+        for (const [field, value] of Object.entries(cls)) {
+            if (DERIVED_CLASSIFICATION_FIELDS.includes(field) || value === undefined) continue;
+            packed[field] = typeof value === 'number' && !Number.isInteger(value)
+                ? Math.round(value * 10000) / 10000
+                : value;
+        }
+        return packed;
+    });
+}
+
+const isFiniteNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+const matchesPattern = (pattern) => (v) => typeof v === 'string' && pattern.test(v);
+const isSquare = matchesPattern(/^[a-h][1-8]$/);
+const isPieceType = matchesPattern(/^[pnbrqk]$/);
+const isSan = matchesPattern(/^(?:O-O(?:-O)?|[NBRQK]?[a-h]?[1-8]?x?[a-h][1-8](?:=[NBRQ])?)[+#]?$/);
+const isUci = matchesPattern(/^[a-h][1-8][a-h][1-8][qrbn]?$/);
+
+/**
+ * What each classification field read back from a link or a file may hold. Reviews
+ * from outside end up in the explanation HTML, so a field that fails its check (or
+ * has none) is dropped rather than trusted.
+ */
+const CLASSIFICATION_FIELD_CHECKS = {
+    cpLoss: isFiniteNumber,
+    epLoss: isFiniteNumber,
+    expectedBefore: isFiniteNumber,
+    expectedAfter: isFiniteNumber,
+    evalBefore: isFiniteNumber,
+    evalAfter: isFiniteNumber,
+    mateAfter: isFiniteNumber,
+    clock: isFiniteNumber,
+    timeSpent: isFiniteNumber,
+    bestGap: isFiniteNumber,
+    matBefore: isFiniteNumber,
+    matAfter: isFiniteNumber,
+    engineBest: isUci,
+    engineBestSan: isSan,
+    enginePv: matchesPattern(/^[a-h][1-8][a-h][1-8][qrbn]?(?: [a-h][1-8][a-h][1-8][qrbn]?)*$/),
+    missedAfter: isSan,
+    from: isSquare,
+    to: isSquare,
+    piece: isPieceType,
+    hungPiece: isPieceType,
+    sacrificedPiece: isPieceType,
+    phase: (v) => ['opening', 'middlegame', 'endgame'].includes(v),
+    tags: (v) => Array.isArray(v) && v.every(matchesPattern(/^[a-z_]+$/)),
+    opening: (v) => Boolean(v) && typeof v.name === 'string' && isKnownOpening(v.eco, v.name),
+    judgment: (v) => Boolean(v) && matchesPattern(/^[A-Za-z]+$/)(v.name) && typeof v.comment === 'string'
+};
+
+/**
+ * Inverse of packClassifications, for classifications from a link or a file: entries
+ * whose key isn't a CLASSIFICATION are dropped, and so are fields that fail
+ * CLASSIFICATION_FIELD_CHECKS. The built-in label, colour and icon always win.
+ */
+function unpackClassifications(list) {
+    const byKey = {};
+    Object.values(CLASSIFICATION).forEach(c => { byKey[c.key] = c; });
+    return list.filter(packed => packed && Object.prototype.hasOwnProperty.call(byKey, packed.key)).map(packed => {
+        const cls = {};
+        for (const [field, check] of Object.entries(CLASSIFICATION_FIELD_CHECKS)) {
+            const value = packed[field];
+            if (value === null) cls[field] = null;
+            else if (value !== undefined && check(value)) cls[field] = value;
+        }
+        if (cls.opening) cls.opening = lookupOpeningByName(cls.opening.eco, cls.opening.name);
+        if (cls.judgment) cls.judgment = { name: cls.judgment.name, comment: cls.judgment.comment };
+        return { ...cls, ...byKey[packed.key] };
+    });
+}
+
+function bytesToBase64Url(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlToBytes(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+}
+
+/** Run bytes through a CompressionStream / DecompressionStream */
+async function pipeBytes(bytes, transform) {
+    const stream = new Blob([bytes]).stream().pipeThrough(transform);
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * URL fragment (without "#") for a review.
+ * @param {Object} review
+ * @param {string} review.pgn - the game, without annotations
+ * @param {number} review.depth - search depth the classifications came from
+ * @param {Array} review.classifications - as returned by analyzeFullGame
+ * @param {number} [review.move] - mainline position to open at
+ * @returns {Promise<string>}
+ */
+async function encodeReviewLink(review) {
+    const json = JSON.stringify({
+        v: REVIEW_LINK_VERSION,
+        pgn: review.pgn,
+        depth: review.depth,
+        cls: packClassifications(review.classifications)
+    });
+    const bytes = new TextEncoder().encode(json);
+    const payload = typeof CompressionStream === 'function'
+        ? 'z' + bytesToBase64Url(await pipeBytes(bytes, new CompressionStream('deflate-raw')))
+        : 'j' + bytesToBase64Url(bytes);
+    return `review=${payload}` + (review.move > 0 ? `&move=${review.move}` : '');
+}
+
+/**
+ * Review from a URL fragment made by encodeReviewLink (with or without "#").
+ * @returns {Promise<{pgn: string, depth: number, classifications: Array, move: number}|null>}
+ *   null when the fragment isn't a review link
+ * @throws {Error} when it is one but can't be read
+ */
+async function decodeReviewLink(hash) {
+    const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+    const payload = params.get('review');
+    if (!payload) return null;
+
+    let bytes = base64UrlToBytes(payload.slice(1));
+    if (payload[0] === 'z') {
+        if (typeof DecompressionStream !== 'function') throw new Error('This browser cannot open compressed review links');
+        bytes = await pipeBytes(bytes, new DecompressionStream('deflate-raw'));
+    } else if (payload[0] !== 'j') {
+        throw new Error('Unknown review link format');
+    }
+
+    const data = JSON.parse(new TextDecoder().decode(bytes));
+    if (data.v !== REVIEW_LINK_VERSION || typeof data.pgn !== 'string' || !Array.isArray(data.cls)) {
+        throw new Error('Unsupported review link version');
+    }
+    return {
+        pgn: data.pgn,
+        depth: Number.isInteger(data.depth) ? data.depth : null,
+        classifications: unpackClassifications(data.cls),
+        move: parseInt(params.get('move'), 10) || 0
+    };
+}
@@ -1,2 +1,2 @@
-// stockfish-worker.js — Web Worker that loads the local stockfish.js
-importScripts('stockfish.js');
+// stockfish-worker.js — Web Worker that loads the local stockfish.js
+importScripts('stockfish.js');
@@ -0,0 +1,118 @@
+/**
+ * Player trends — one entry per game reviewed by "Analyze all" on the fetched games
+ * list, seen from the fetching player's side, and the summary the trend dashboard
+ * draws. A player's entries are kept in AnalysisStore under trendId(platform, username):
+ *
+ *   { id, platform, username, updated, entries: { <trendGameId>: entry, … } }
+ */
+
+/** Games averaged by the rolling accuracy line */
+const TREND_ROLLING_WINDOW = 5;
+
+function trendId(platform, username) {
+    return `${platform}:${username.trim().toLowerCase()}`;
+}
+
+/** Stable id of a fetched game: its URL, or when and who played it */
+function trendGameId(g) {
+    return g.url || [g.end_time, g.white?.username, g.black?.username].join('|');
+}
+
+/**
+ * Trend entry for a reviewed game.
+ * @param {Object} g - fetched game (Chess.com-shaped)
+ * @param {ChessLogic} gameLogic - the game, loaded
+ * @param {Array} classifications - from analyzeFullGame
+ * @param {string} username - whose side the entry is from
+ * @param {number} depth - search depth of the review
+ * @returns {Object|null} null when `username` didn't play the game
+ */
+function trendEntry(g, gameLogic, classifications, username, depth) {
+    const { color, result } = playerResult(g, username);
+    if (!color) return null;
+
+    const colors = gameLogic.squares.map(sq => sq.color);
+    const stats = computeAccuracyStats(classifications, colors);
+    const side = stats[color];
+    const own = classifications.filter((cls, i) => colors[i] === color);
+    const count = (key) => own.filter(cls => cls.key === key).length;
+    const opponent = color === 'w' ? g.black : g.white;
+    const opening = gameLogic.getGameOpening();
+
+    return {
+        id: trendGameId(g),
+        url: g.url || null,
+        endTime: g.end_time || null,
+        timeClass: g.time_class || null,
+        color: color,
+        result: result,
+        opponent: opponent.username || '?',
+        opponentRating: typeof opponent.rating === 'number' ? opponent.rating : null,
+        accuracy: side.accuracy,
+        opponentAccuracy: stats[color === 'w' ? 'b' : 'w'].accuracy,
+        acpl: side.acpl,
+        moves: own.length,
+        blunders: count('blunder'),
+        mistakes: count('mistake'),
+        inaccuracies: count('inaccuracy'),
+        misses: count('miss'),
+        opening: opening ? { eco: opening.eco, name: opening.name } : null,
+        phases: {
+            opening: side.phases.opening.accuracy,
+            middlegame: side.phases.middlegame.accuracy,
+            endgame: side.phases.endgame.accuracy
+        },
+        depth: depth
+    };
+}
+
+/** Mean of the numbers in `values`, ignoring nulls; null when there are none */
+function meanOf(values) {
+    const numbers = values.filter(v => typeof v === 'number');
+    return numbers.length > 0 ? numbers.reduce((s, v) => s + v, 0) / numbers.length : null;
+}
+
+/**
+ * What the dashboard shows for a set of entries.
+ * @returns {{games: Array, accuracy: number|null, blundersPerGame: number|null,
+ *   mistakesPerGame: number|null, score: number|null, rolling: Array, phases: Object, openings: Array}}
+ *   `games` oldest first, `rolling` the accuracy averaged over TREND_ROLLING_WINDOW games up to each,
+ *   `score` the percentage of points won, `openings` per opening family with results, most played first
+ */
+function summarizeTrend(entries) {
+    const games = [...entries].sort((a, b) => (a.endTime || 0) - (b.endTime || 0));
+    const n = games.length;
+
+    const rolling = games.map((_, i) =>
+        meanOf(games.slice(Math.max(0, i - TREND_ROLLING_WINDOW + 1), i + 1).map(e => e.accuracy)));
+
+    const openings = new Map();
+    games.forEach(e => {
+        const name = openingFamily(e.opening) || 'Unknown';
+        if (!openings.has(name)) openings.set(name, { name, games: 0, wins: 0, draws: 0, losses: 0, accuracies: [] });
+        const row = openings.get(name);
+        row.games++;
+        if (e.result === 'win') row.wins++;
+        else if (e.result === 'draw') row.draws++;
+        else row.losses++;
+        row.accuracies.push(e.accuracy);
+    });
+
+    const points = games.reduce((s, e) => s + (e.result === 'win' ? 1 : e.result === 'draw' ? 0.5 : 0), 0);
+    return {
+        games: games,
+        accuracy: meanOf(games.map(e => e.accuracy)),
+        blundersPerGame: n > 0 ? games.reduce((s, e) => s + e.blunders, 0) / n : null,
+        mistakesPerGame: n > 0 ? games.reduce((s, e) => s + e.mistakes, 0) / n : null,
+        score: n > 0 ? (points / n) * 100 : null,
+        rolling: rolling,
+        phases: {
+            opening: meanOf(games.map(e => e.phases.opening)),
+            middlegame: meanOf(games.map(e => e.phases.middlegame)),
+            endgame: meanOf(games.map(e => e.phases.endgame))
+        },
+        openings: [...openings.values()]
+            .map(({ accuracies, ...row }) => ({ ...row, accuracy: meanOf(accuracies) }))
+            .sort((a, b) => b.games - a.games || a.name.localeCompare(b.name))
+    };
+}
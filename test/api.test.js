@@ -0,0 +1,191 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, fixture, fixtureFetch, response, memoryArchiveCache, recordingSleep } = require('./helpers');
+
+const {
+    ChessAPI, ChessAPIError, NotFoundError, RateLimitError, NetworkError, MalformedResponseError
+} = loadScripts(['js/api.js'], ['ChessAPI', 'ChessAPIError', 'NotFoundError', 'RateLimitError', 'NetworkError', 'MalformedResponseError']);
+
+const ARCHIVES = 'https://api.chess.com/pub/player/pawnstorm/games/archives';
+const JANUARY = 'https://api.chess.com/pub/player/pawnstorm/games/2024/01';
+const FEBRUARY = 'https://api.chess.com/pub/player/pawnstorm/games/2024/02';
+const LICHESS_GAMES = 'https://lichess.org/api/games/user/bishopsly*';
+
+function chessAPI(routes, opts = {}) {
+    const fetch = fixtureFetch(routes);
+    const sleep = recordingSleep();
+    return { fetch, sleep, api: new ChessAPI({ fetch, sleep, minInterval: 0, ...opts }) };
+}
+
+const offline = async () => { throw new TypeError('Failed to fetch'); };
+
+// ── Typed errors ──
+
+test('a missing player is a NotFoundError', async () => {
+    const { api } = chessAPI({});
+    await assert.rejects(api.fetchRecent('nobody'), (e) => e instanceof NotFoundError && e instanceof ChessAPIError
+        && e.status === 404 && e.message === 'Player not found');
+    await assert.rejects(api.fetchLichess('nobody'), NotFoundError);
+});
+
+test('an unreadable body is a MalformedResponseError', async () => {
+    const { api } = chessAPI({
+        [ARCHIVES]: response(200, '<html>Service unavailable</html>'),
+        [JANUARY]: response(200, '{"players": []}'),
+        [LICHESS_GAMES]: response(200, 'not json\n{"id":"broken"}\n')
+    });
+    await assert.rejects(api.fetchChessComArchives('pawnstorm'), MalformedResponseError);
+    await assert.rejects(api.fetchChessComMonth(JANUARY), MalformedResponseError);
+    await assert.rejects(api.fetchLichessPage('bishopsly', {}), MalformedResponseError);
+});
+
+test('an unreachable site is a NetworkError after retrying', async () => {
+    const fetch = fixtureFetch({ [ARCHIVES]: offline });
+    const api = new ChessAPI({ fetch, sleep: recordingSleep(), minInterval: 0, retries: 2 });
+    await assert.rejects(api.fetchRecent('pawnstorm'), (e) => e instanceof NetworkError && e.cause.message === 'Failed to fetch');
+    assert.strictEqual(fetch.calls.length, 3);
+});
+
+test('a server error that persists is a ChessAPIError with its status', async () => {
+    const { api } = chessAPI({ [ARCHIVES]: response(503) }, { retries: 1 });
+    await assert.rejects(api.fetchRecent('pawnstorm'), (e) => e.name === 'ChessAPIError' && e.status === 503);
+});
+
+// ── Retries and backoff ──
+
+test('rate limiting is retried after Retry-After, server errors with exponential backoff', async () => {
+    const { api, fetch, sleep } = chessAPI({
+        [ARCHIVES]: [response(502), response(429, '', { 'Retry-After': '3' }), response(200, fixture('chesscom-pawnstorm-archives.json'))]
+    });
+    const archives = await api.fetchChessComArchives('pawnstorm');
+    assert.strictEqual(archives.length, 2);
+    assert.strictEqual(fetch.calls.length, 3);
+    // Half a second after the 502 (the first backoff), then the 3 s the 429 asked for
+    assert.strictEqual(sleep.waits.length, 2);
+    assert.ok(sleep.waits[0] > 400 && sleep.waits[0] <= 500, String(sleep.waits));
+    assert.ok(sleep.waits[1] > 2900 && sleep.waits[1] <= 3000, String(sleep.waits));
+});
+
+test('backoff doubles from half a second up to eight', () => {
+    assert.deepStrictEqual([0, 1, 2, 3, 4, 5].map(ChessAPI.backoff), [500, 1000, 2000, 4000, 8000, 8000]);
+});
+
+test('Retry-After is read as seconds or as an HTTP date', () => {
+    assert.strictEqual(ChessAPI.retryAfter(response(429, '', { 'Retry-After': '7' })), 7000);
+    const date = new Date(Date.now() + 60000).toUTCString();
+    const ms = ChessAPI.retryAfter(response(429, '', { 'Retry-After': date }));
+    assert.ok(ms > 58000 && ms <= 60000, String(ms));
+    assert.strictEqual(ChessAPI.retryAfter(response(429)), null);
+});
+
+test('a Retry-After longer than maxRetryWait throws RateLimitError at once', async () => {
+    const { api, fetch } = chessAPI({ [LICHESS_GAMES]: response(429, '', { 'Retry-After': '120' }) });
+    await assert.rejects(api.fetchLichess('bishopsly'), (e) => e instanceof RateLimitError && e.retryAfter === 120000);
+    assert.strictEqual(fetch.calls.length, 1);
+});
+
+test('requests to one host are spaced minInterval apart', async () => {
+    const fetch = fixtureFetch({ [JANUARY]: 'chesscom-pawnstorm-2024-01.json' });
+    const sleep = recordingSleep();
+    const api = new ChessAPI({ fetch, sleep, minInterval: 1000 });
+    await Promise.all([api.fetchChessComMonth(JANUARY), api.fetchChessComMonth(JANUARY), api.fetchChessComMonth(JANUARY)]);
+    assert.strictEqual(sleep.waits.length, 2);
+    assert.ok(sleep.waits[0] > 900 && sleep.waits[1] > 1900, String(sleep.waits));
+});
+
+// ── Offline cache ──
+
+test('archives fetched earlier are answered from the cache when the network is down', async () => {
+    const cache = memoryArchiveCache();
+    let online = true;
+    const routes = {
+        [ARCHIVES]: 'chesscom-pawnstorm-archives.json',
+        [JANUARY]: 'chesscom-pawnstorm-2024-01.json',
+        [FEBRUARY]: 'chesscom-pawnstorm-2024-02.json'
+    };
+    const fetch = fixtureFetch(Object.fromEntries(Object.entries(routes).map(([url, file]) =>
+        [url, async () => (online ? response(200, fixture(file)) : offline())])));
+    const used = [];
+    const api = new ChessAPI({ fetch, sleep: recordingSleep(), minInterval: 0, cache, onCacheUsed: (url) => used.push(url) });
+
+    const pager = api.chessComPager('Pawnstorm');
+    assert.strictEqual((await pager.next()).length, 1);
+    assert.strictEqual((await pager.next()).length, 2);
+    await new Promise(resolve => setTimeout(resolve, 0)); // cache writes aren't awaited
+    assert.strictEqual(cache.saved.size, 3);
+
+    online = false;
+    const offlinePager = api.chessComPager('pawnstorm');
+    const games = (await offlinePager.next()).concat(await offlinePager.next());
+    assert.deepEqual(games.map(g => g.url), [
+        'https://www.chess.com/game/live/123', 'https://www.chess.com/game/live/102', 'https://www.chess.com/game/live/101'
+    ]);
+    // The list of archives is asked for and falls back to the cache; months long over come straight from it
+    assert.deepStrictEqual(used, [ARCHIVES]);
+});
+
+test('the current month is asked for again and falls back to the cache only on failure', async () => {
+    const cache = memoryArchiveCache();
+    const now = new Date();
+    const month = `https://api.chess.com/pub/player/pawnstorm/games/${now.getUTCFullYear()}/${String(now.getUTCMonth() + 1).padStart(2, '0')}`;
+    await cache.putArchive(month, JSON.parse(fixture('chesscom-pawnstorm-2024-01.json')));
+    const fetch = fixtureFetch({ [month]: offline });
+    const used = [];
+    const api = new ChessAPI({ fetch, sleep: recordingSleep(), minInterval: 0, retries: 0, cache, onCacheUsed: (url) => used.push(url) });
+    assert.strictEqual((await api.fetchChessComMonth(month)).length, 2);
+    assert.strictEqual(fetch.calls.length, 1);
+    assert.deepStrictEqual(used, [month]);
+});
+
+test('a missing player is not answered from the cache', async () => {
+    const cache = memoryArchiveCache();
+    await cache.putArchive(ARCHIVES, JSON.parse(fixture('chesscom-pawnstorm-archives.json')));
+    const { api } = chessAPI({}, { cache });
+    await assert.rejects(api.fetchChessComArchives('pawnstorm'), NotFoundError);
+});
+
+// ── Lichess games and server analysis ──
+
+test('Lichess games come newest first in the Chess.com shape', async () => {
+    const { api, fetch } = chessAPI({ [LICHESS_GAMES]: 'lichess-bishopsly-games.ndjson' });
+    const games = await api.fetchLichess('Bishopsly');
+    assert.deepEqual(games.map(g => g.url), [
+        'https://lichess.org/q7ZvsdUF', 'https://lichess.org/Xb3kPq9W', 'https://lichess.org/Ln5tRe2M'
+    ]);
+    assert.strictEqual(games[2].white.result, 'agreed');
+    assert.ok(fetch.calls[0].includes('evals=true'));
+});
+
+test('lichessEvals maps server evals, mates, best moves and judgments onto positions', async () => {
+    const [analysed, mated, unanalysed] = fixture('lichess-bishopsly-games.ndjson').trim().split('\n').map(line => JSON.parse(line));
+
+    const evals = ChessAPI.lichessEvals(analysed);
+    assert.strictEqual(evals.length, 9);
+    assert.strictEqual(evals[0], null); // Lichess doesn't evaluate the start position
+    assert.deepEqual(evals[1], { score: 0.18, isMate: false });
+    assert.strictEqual(evals[6].bestMove, 'f3d4'); // what should have been played from position 6...
+    assert.deepEqual(evals[7].judgment, { name: 'Blunder', comment: 'Blunder. Nxd4 was best.' }); // ...instead of move 7
+    assert.strictEqual(evals[8].score, -1.15);
+
+    const mate = ChessAPI.lichessEvals(mated);
+    assert.deepEqual({ ...mate[3] }, { score: -1, isMate: true, judgment: { name: 'Blunder', comment: 'Checkmate is now unavoidable. Nf3 was best.' } });
+    assert.strictEqual(mate[4], null);
+
+    assert.strictEqual(ChessAPI.lichessEvals(unanalysed), null);
+});
+
+test('lichessEvals keeps best moves for the start position and positions without an eval', () => {
+    const evals = ChessAPI.lichessEvals({
+        moves: 'f3 e5 g4 Qh4#',
+        analysis: [
+            { eval: -60, best: 'e2e4', judgment: { name: 'Inaccuracy', comment: 'Inaccuracy. e4 was best.' } },
+            {},
+            { mate: -1, best: 'g1f3', judgment: { name: 'Blunder', comment: 'Checkmate is now unavoidable. Nf3 was best.' } }
+        ]
+    });
+    assert.deepEqual({ ...evals[0] }, { score: null, isMate: false, bestMove: 'e2e4' });
+    assert.deepEqual({ ...evals[2] }, { score: null, isMate: false, bestMove: 'g1f3' });
+    assert.strictEqual(evals[1].bestMove, undefined);
+    assert.strictEqual(evals[3].score, -1);
+    assert.strictEqual(evals[4], null);
+});
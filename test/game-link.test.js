@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, fixtureFetch, response, recordingSleep } = require('./helpers');
+
+const { ChessAPI, NotFoundError } = loadScripts(['js/api.js'], ['ChessAPI', 'NotFoundError']);
+
+function api(routes) {
+    const fetch = fixtureFetch(routes);
+    return { fetch, api: new ChessAPI({ fetch, sleep: recordingSleep(), minInterval: 0 }) };
+}
+
+test('parseGameRef recognises game links and real-looking Lichess ids', () => {
+    assert.deepEqual(ChessAPI.parseGameRef('https://lichess.org/q7ZvsdUF/black'), { site: 'lichess', id: 'q7ZvsdUF' });
+    assert.deepEqual(ChessAPI.parseGameRef('q7ZvsdUFab12'), { site: 'lichess', id: 'q7ZvsdUF' });
+    assert.deepEqual(ChessAPI.parseGameRef('https://www.chess.com/game/daily/987'), { site: 'chesscom', type: 'daily', id: '987' });
+    assert.deepEqual(ChessAPI.parseGameRef('chess.com/analysis/live/game/55'), { site: 'chesscom', type: 'live', id: '55' });
+});
+
+test('parseGameRef leaves usernames, words and PGN alone', () => {
+    for (const text of ['magnus12', 'Carlsen1', 'abcdefgh', 'https://lichess.org/analysis', '1. e4 e5', 'q7ZvsdUF e4']) {
+        assert.strictEqual(ChessAPI.parseGameRef(text), null, text);
+    }
+});
+
+test('fetchGame loads a Lichess game with its server analysis', async () => {
+    const { api: chess } = api({ 'https://lichess.org/game/export/q7ZvsdUF*': 'lichess-game-q7ZvsdUF.json' });
+    const g = await chess.fetchGame({ site: 'lichess', id: 'q7ZvsdUF' });
+    assert.strictEqual(g.url, 'https://lichess.org/q7ZvsdUF');
+    assert.strictEqual(g.white.username, 'Bishopsly');
+    assert.strictEqual(g.black.rating, 1790);
+    assert.strictEqual(g.black.result, 'win');
+    assert.strictEqual(g.evals.length, 9);
+    assert.strictEqual(g.evals[7].judgment.name, 'Blunder');
+});
+
+test('fetchGame finds a Chess.com game in the archive of the month it ended', async () => {
+    const { api: chess, fetch } = api({
+        '/api/chesscom/game/live/123': 'chesscom-callback-live-123.json',
+        'https://api.chess.com/pub/player/pawnstorm/games/2024/02': 'chesscom-pawnstorm-2024-02.json'
+    });
+    const g = await chess.fetchGame({ site: 'chesscom', type: 'live', id: '123' });
+    assert.strictEqual(g.white.username, 'Pawnstorm');
+    assert.ok(g.pgn.includes('Qxf7#'));
+    // The month it ended is searched before the month it started
+    assert.deepStrictEqual(fetch.calls, [
+        '/api/chesscom/game/live/123',
+        'https://api.chess.com/pub/player/pawnstorm/games/2024/02'
+    ]);
+});
+
+test('fetchGame looks through a given player\'s recent archives before asking the proxy', async () => {
+    const { api: chess, fetch } = api({
+        'https://api.chess.com/pub/player/pawnstorm/games/archives': response(200, JSON.stringify({
+            archives: ['https://api.chess.com/pub/player/pawnstorm/games/2024/02']
+        })),
+        'https://api.chess.com/pub/player/pawnstorm/games/2024/02': 'chesscom-pawnstorm-2024-02.json'
+    });
+    const g = await chess.fetchGame({ site: 'chesscom', type: 'live', id: '123' }, 'Pawnstorm');
+    assert.strictEqual(g.url, 'https://www.chess.com/game/live/123');
+    assert.ok(!fetch.calls.some(url => url.startsWith('/api/')));
+});
+
+test('fetchGame throws NotFoundError for a game that does not exist', async () => {
+    const { api: chess } = api({});
+    await assert.rejects(chess.fetchGame({ site: 'lichess', id: 'zzzzZZZZ' }), NotFoundError);
+    await assert.rejects(chess.fetchGame({ site: 'chesscom', type: 'live', id: '1' }), NotFoundError);
+});
@@ -0,0 +1,77 @@
+/**
+ * Test helpers: the app's browser scripts loaded into a fresh context, and a fetch that
+ * answers from test/fixtures like the real sites would.
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+/**
+ * Run app scripts in a new context and return the top-level names asked for.
+ * @param {string[]} files - paths from the repo root, in index.html order
+ * @param {string[]} names - classes, functions and constants to hand back
+ */
+function loadScripts(files, names, globals = {}) {
+    const context = vm.createContext({ console, setTimeout, clearTimeout, URL, URLSearchParams, ...globals });
+    for (const file of files) {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+    }
+    return vm.runInContext(`({ ${names.join(', ')} })`, context);
+}
+
+function fixture(name) {
+    return fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+}
+
+/** Response with the parts of the Fetch API ChessAPI reads */
+function response(status, body = '', headers = {}) {
+    return {
+        ok: status >= 200 && status < 300,
+        status: status,
+        headers: { get: (name) => headers[name] !== undefined ? headers[name] : null },
+        text: async () => body
+    };
+}
+
+/**
+ * fetch stand-in. `routes` maps a URL (or a URL prefix ending in "*") to a fixture file
+ * name, a response, or a list of responses given out one per request. Unknown URLs are 404s.
+ * @returns {Function & {calls: string[]}}
+ */
+function fixtureFetch(routes) {
+    const calls = [];
+    const fetch = async (url) => {
+        calls.push(url);
+        const key = Object.keys(routes).find(k => (k.endsWith('*') ? url.startsWith(k.slice(0, -1)) : url === k));
+        if (!key) return response(404, '{"message":"Not found"}');
+        let route = routes[key];
+        if (Array.isArray(route)) route = route.length > 1 ? route.shift() : route[0];
+        if (typeof route === 'function') return route(url);
+        return typeof route === 'string' ? response(200, fixture(route)) : route;
+    };
+    fetch.calls = calls;
+    return fetch;
+}
+
+/** Offline archive cache with AnalysisStore's getArchive / putArchive, in memory */
+function memoryArchiveCache() {
+    const saved = new Map();
+    return {
+        saved: saved,
+        async getArchive(url) { return saved.get(url) || null; },
+        async putArchive(url, data) { saved.set(url, { data: data, saved: Date.now() }); }
+    };
+}
+
+/** Sleep that returns at once and records how long it was asked to wait */
+function recordingSleep() {
+    const waits = [];
+    const sleep = async (ms) => { waits.push(ms); };
+    sleep.waits = waits;
+    return sleep;
+}
+
+module.exports = { loadScripts, fixture, response, fixtureFetch, memoryArchiveCache, recordingSleep };
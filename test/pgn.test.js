@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Chess } = require('chess.js');
+const { loadScripts } = require('./helpers');
+
+const { ChessLogic, buildAnnotatedPGN, parsePGNHeaders } = loadScripts(
+    ['js/ecodata.js', 'js/chess960.js', 'js/chesslogic.js'],
+    ['ChessLogic', 'buildAnnotatedPGN', 'parsePGNHeaders'],
+    { Chess }
+);
+
+test('buildAnnotatedPGN escapes backslashes and quotes in tag values', () => {
+    const logic = new ChessLogic();
+    assert.ok(logic.loadPGN('1. e4 e5 *'));
+    logic.headers = { Event: 'The "Open"', Site: 'C:\\games\\', Annotator: 'say \\"hi\\"' };
+
+    const pgn = buildAnnotatedPGN(logic, { annotate: false });
+    assert.match(pgn, /^\[Event "The \\"Open\\""\]$/m);
+    assert.match(pgn, /^\[Site "C:\\\\games\\\\"\]$/m);
+    assert.match(pgn, /^\[Annotator "say \\\\\\"hi\\\\\\""\]$/m);
+
+    const headers = parsePGNHeaders(pgn);
+    assert.strictEqual(headers.Event, 'The "Open"');
+    assert.strictEqual(headers.Site, 'C:\\games\\');
+    assert.strictEqual(headers.Annotator, 'say \\"hi\\"');
+});